@@ -9,6 +9,15 @@
 import { createElement } from 'lwc';
 import WeatherForecast from 'c/weatherForecast';
 import getForecast from '@salesforce/apex/WeatherController.getForecast';
+import getAirQuality from '@salesforce/apex/WeatherController.getAirQuality';
+import getHistory from '@salesforce/apex/WeatherController.getHistory';
+import getForecastForPlace from '@salesforce/apex/WeatherController.getForecastForPlace';
+import getForecastByCoordinates from '@salesforce/apex/WeatherController.getForecastByCoordinates';
+import searchLocations from '@salesforce/apex/WeatherController.searchLocations';
+import { getRecord } from 'lightning/uiRecordApi';
+import { subscribe, unsubscribe, publish, APPLICATION_SCOPE } from 'lightning/messageService';
+import WEATHER_CHANNEL from '@salesforce/messageChannel/WeatherForecast__c';
+import { clearForecastCache } from '../forecastCache';
 
 // Mock Apex
 jest.mock(
@@ -16,6 +25,55 @@ jest.mock(
     () => ({ default: jest.fn() }),
     { virtual: true }
 );
+jest.mock(
+    '@salesforce/apex/WeatherController.getForecastByCoordinates',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.searchLocations',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getForecastForPlace',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getAirQuality',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+// sfdx-lwc-jest ships no lightning/flowSupport stub
+jest.mock(
+    'lightning/flowSupport',
+    () => {
+        class FlowAttributeChangeEvent extends CustomEvent {
+            constructor(attributeName, attributeValue) {
+                super('flowattributechange', { bubbles: true, composed: true, detail: { attributeName, attributeValue } });
+            }
+        }
+        class FlowNavigationNextEvent extends CustomEvent {
+            constructor() {
+                super('flownavigationnext', { bubbles: true, composed: true });
+            }
+        }
+        class FlowNavigationFinishEvent extends CustomEvent {
+            constructor() {
+                super('flownavigationfinish', { bubbles: true, composed: true });
+            }
+        }
+        return { FlowAttributeChangeEvent, FlowNavigationNextEvent, FlowNavigationFinishEvent };
+    },
+    { virtual: true }
+);
 
 // ─── Mock Data ───────────────────────────────────
 
@@ -42,7 +100,8 @@ const MOCK_SUCCESS = {
     },
     daily: [
         {
-            dayName: 'Tue',
+            timeUnix: 1708848000,
+            dayName: 'Sun',
             dateStr: 'Feb 25',
             tempHigh: 16.0,
             tempLow: 13.0,
@@ -51,10 +110,17 @@ const MOCK_SUCCESS = {
             main: 'Clouds',
             humidity: 70,
             windSpeed: 3.5,
+            windGust: 8.1,
+            windDirection: 270,
+            precipitationSum: 0.4,
+            uvIndexMax: 3.2,
+            sunrise: 1708871400,
+            sunset: 1708911300,
             pop: 10
         },
         {
-            dayName: 'Wed',
+            timeUnix: 1708934400,
+            dayName: 'Mon',
             dateStr: 'Feb 26',
             tempHigh: 18.0,
             tempLow: 14.0,
@@ -63,11 +129,64 @@ const MOCK_SUCCESS = {
             main: 'Clear',
             humidity: 65,
             windSpeed: 4.0,
+            windGust: 9.0,
+            windDirection: 45,
+            precipitationSum: 0,
+            uvIndexMax: 4.6,
+            sunrise: 1708957740,
+            sunset: 1708997760,
             pop: 0
         }
     ]
 };
 
+const MOCK_HOURLY = Array.from({ length: 30 }, (_, i) => ({
+    timeUnix: 1708851600 + i * 3600,
+    timeStr: '',
+    temp: 10 + i * 0.5,
+    feelsLike: 8 + i * 0.5,
+    pop: i * 3,
+    humidity: 60 + i,
+    windSpeed: 2.5,
+    icon: '03d',
+    description: 'partly cloudy'
+}));
+
+const MOCK_CANDIDATES = [
+    { name: 'Springfield', admin1: 'Illinois', country: 'United States', countryCode: 'US', population: 116250, lat: 39.80, lon: -89.64 },
+    { name: 'Springfield', admin1: 'Missouri', country: 'United States', countryCode: 'US', population: 169176, lat: 37.22, lon: -93.30 }
+];
+
+const TODAY_START = Math.floor(Date.now() / 86400000) * 86400;
+// Observed days Feb 18–24, ending the day before MOCK_SUCCESS's first forecast day
+const MOCK_HISTORY = {
+    success: true,
+    recent: [12, 13, 11, 14, 15, 10, 11.2].map((tempHigh, i) => ({
+        timeUnix: 1708848000 - (7 - i) * 86400,
+        tempHigh,
+        tempLow: tempHigh - 6
+    })),
+    yesterday: { timeUnix: 1708761600, tempHigh: 11.2, tempLow: 5.2 },
+    lastYear: { timeUnix: 1677312000, tempHigh: 15, tempLow: 9 },
+    normalHigh: 13.4,
+    normalLow: 6.8,
+    normalYears: 10
+};
+
+const MOCK_AIR_QUALITY = {
+    success: true,
+    usAqi: 42,
+    europeanAqi: 45,
+    pm25: 9.8,
+    pm10: 15.24,
+    ozone: 61,
+    uvIndex: 2.4,
+    daily: [
+        { timeUnix: TODAY_START, uvIndexMax: 6.8 },
+        { timeUnix: TODAY_START + 86400, uvIndexMax: 9.1 }
+    ]
+};
+
 const MOCK_ERROR = {
     success: false,
     errorMessage: 'Location not found. Try "City, Country" or a zip code.'
@@ -75,8 +194,13 @@ const MOCK_ERROR = {
 
 // ─── Test Helpers ────────────────────────────────
 
-function createComponent() {
+/**
+ * Helper: create the component with no default location and metric units,
+ * so tests start from the welcome state unless they opt in via props.
+ */
+function createComponent(props = {}) {
     const element = createElement('c-weather-forecast', { is: WeatherForecast });
+    Object.assign(element, { defaultLocation: '', defaultUnitSystem: 'Metric', ...props });
     document.body.appendChild(element);
     return element;
 }
@@ -85,14 +209,17 @@ function flushPromises() {
     return new Promise((resolve) => setTimeout(resolve, 0));
 }
 
+function typeInto(input, value) {
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('input'));
+}
+
 /**
  * Helper: set the search query and click the search button,
  * then flush enough microtask cycles for Apex + DOM re-render.
  */
 async function searchAndWait(element, query) {
-    const input = element.shadowRoot.querySelector('lightning-input');
-    // Dispatch change event with detail.value (how lightning-input works)
-    input.dispatchEvent(new CustomEvent('change', { detail: { value: query } }));
+    typeInto(element.shadowRoot.querySelector('.search-input'), query);
     await flushPromises();
 
     // Click search
@@ -103,12 +230,37 @@ async function searchAndWait(element, query) {
     await flushPromises();
 }
 
-// ─── Teardown ────────────────────────────────────
+function wait(ms) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Helper: type into the search box and wait out the suggestion debounce.
+ */
+async function typeAndWaitForSuggestions(element, query) {
+    const input = element.shadowRoot.querySelector('.search-input');
+    input.dispatchEvent(new CustomEvent('focus'));
+    typeInto(input, query);
+    await wait(350);
+    await flushPromises();
+    return input;
+}
+
+// ─── Setup & Teardown ────────────────────────────
+
+// Most tests don't care about air quality or past weather; they get neither
+beforeEach(() => {
+    getAirQuality.mockResolvedValue({ success: false });
+    getHistory.mockResolvedValue({ success: false });
+});
 
 afterEach(() => {
     while (document.body.firstChild) {
         document.body.removeChild(document.body.firstChild);
     }
+    localStorage.clear();
+    clearForecastCache();
     jest.clearAllMocks();
 });
 
@@ -121,7 +273,7 @@ describe('c-weather-forecast', () => {
 
     it('renders the search bar on initial load', () => {
         const element = createComponent();
-        const searchInput = element.shadowRoot.querySelector('lightning-input');
+        const searchInput = element.shadowRoot.querySelector('.search-input');
         expect(searchInput).not.toBeNull();
     });
 
@@ -147,9 +299,9 @@ describe('c-weather-forecast', () => {
 
     it('updates searchQuery on input change', async () => {
         const element = createComponent();
-        const input = element.shadowRoot.querySelector('lightning-input');
+        const input = element.shadowRoot.querySelector('.search-input');
 
-        input.dispatchEvent(new CustomEvent('change', { detail: { value: 'London' } }));
+        typeInto(input, 'London');
         await flushPromises();
         expect(input).not.toBeNull();
     });
@@ -167,8 +319,8 @@ describe('c-weather-forecast', () => {
         getForecast.mockResolvedValue(MOCK_SUCCESS);
         const element = createComponent();
 
-        const input = element.shadowRoot.querySelector('lightning-input');
-        input.dispatchEvent(new CustomEvent('change', { detail: { value: 'Tokyo' } }));
+        const input = element.shadowRoot.querySelector('.search-input');
+        typeInto(input, 'Tokyo');
         await flushPromises();
 
         input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter' }));
@@ -211,6 +363,39 @@ describe('c-weather-forecast', () => {
         expect(locName.textContent).toBe('San Francisco, US');
     });
 
+    it('shows which country a postal code was looked up in', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, locationName: 'Paris', country: 'FR', postalCode: '75001' });
+        const element = createComponent();
+
+        await searchAndWait(element, '75001 FR');
+
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Paris, FR');
+        expect(element.shadowRoot.querySelector('.location-postal').textContent).toBe('Postal code 75001 in France');
+    });
+
+    it('leaves out the postal code line for place names', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+
+        await searchAndWait(element, 'San Francisco');
+
+        expect(element.shadowRoot.querySelector('.location-postal')).toBeNull();
+    });
+
+    it('keeps the postal code after a refresh', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, postalCode: '94103' });
+        getForecastForPlace.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, '94103');
+
+        element.shadowRoot.querySelector('.refresh-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecastForPlace).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.location-postal').textContent).toBe('Postal code 94103 in United States');
+    });
+
     it('displays current temperature', async () => {
         getForecast.mockResolvedValue(MOCK_SUCCESS);
         const element = createComponent();
@@ -330,4 +515,2103 @@ describe('c-weather-forecast', () => {
         expect(errorEl).not.toBeNull();
         expect(errorEl.textContent).toBe('Failed to fetch weather data.');
     });
+
+    // ─── Favorites & Comparison Board ────────────
+
+    it('pins the current location as a favorite', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.favorite-btn').click();
+        await flushPromises();
+
+        const stored = JSON.parse(localStorage.getItem('weather_favorite_locations'));
+        expect(stored.length).toBe(1);
+        expect(stored[0].name).toBe('San Francisco');
+        expect(stored[0].lat).toBe(37.77);
+        expect(element.shadowRoot.querySelector('.compare-btn')).not.toBeNull();
+    });
+
+    it('renders a comparison card for every favorite', async () => {
+        localStorage.setItem('weather_favorite_locations', JSON.stringify([
+            { key: '37.77,-122.42', name: 'San Francisco', country: 'US', lat: 37.77, lon: -122.42 },
+            { key: '48.85,2.35', name: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 }
+        ]));
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getForecastForPlace.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.compare-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecastForPlace).toHaveBeenCalledTimes(2);
+        expect(getForecastForPlace).toHaveBeenCalledWith({ lat: 48.85, lon: 2.35, locationName: 'Paris', country: 'FR', forecastDays: 7 });
+        const cards = element.shadowRoot.querySelectorAll('.comparison-card');
+        expect(cards.length).toBe(2);
+        expect(cards[1].querySelector('.cc-temp').textContent).toBe('15°C');
+        expect(element.shadowRoot.querySelector('.hero-section')).toBeNull();
+    });
+
+    it('drills into the hero view from a comparison card', async () => {
+        localStorage.setItem('weather_favorite_locations', JSON.stringify([
+            { key: '48.85,2.35', name: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 }
+        ]));
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getForecastForPlace.mockResolvedValue({ ...MOCK_SUCCESS, locationName: 'Paris', country: 'FR' });
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.compare-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.cc-select').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.comparison-board')).toBeNull();
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Paris, FR');
+    });
+
+    it('opens a favorite from the comparison board with its own button', async () => {
+        localStorage.setItem('weather_favorite_locations', JSON.stringify([
+            { key: '48.85,2.35', name: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 }
+        ]));
+        getForecastForPlace.mockResolvedValue({ ...MOCK_SUCCESS, locationName: 'Paris', country: 'FR' });
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.compare-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        const card = element.shadowRoot.querySelector('.comparison-card');
+        const select = card.querySelector('.cc-select');
+        const remove = card.querySelector('.cc-remove');
+        expect(select.tagName).toBe('BUTTON');
+        expect(card.getAttribute('role')).toBeNull();
+        // The remove button sits next to the card's main button, not inside it
+        expect(select.contains(remove)).toBe(false);
+
+        select.click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.comparison-board')).toBeNull();
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Paris, FR');
+    });
+
+    it('removes a favorite from the comparison board without opening it', async () => {
+        localStorage.setItem('weather_favorite_locations', JSON.stringify([
+            { key: '48.85,2.35', name: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 },
+            { key: '51.51,-0.13', name: 'London', country: 'GB', lat: 51.51, lon: -0.13 }
+        ]));
+        getForecastForPlace.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.compare-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.cc-remove').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.comparison-board')).not.toBeNull();
+        expect(Array.from(element.shadowRoot.querySelectorAll('.cc-name')).map((name) => name.textContent)).toEqual(['London, GB']);
+    });
+
+    it('drops a search still in flight once a favorite is opened', async () => {
+        localStorage.setItem('weather_favorite_locations', JSON.stringify([
+            { key: '48.85,2.35', name: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 }
+        ]));
+        let resolveSearch;
+        getForecast.mockReturnValue(new Promise((resolve) => { resolveSearch = resolve; }));
+        getForecastForPlace.mockResolvedValue({ ...MOCK_SUCCESS, locationName: 'Paris', country: 'FR', lat: 48.85, lon: 2.35 });
+        const element = createComponent();
+        await flushPromises();
+
+        typeInto(element.shadowRoot.querySelector('.search-input'), 'Tokyo');
+        element.shadowRoot.querySelector('.search-btn').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.compare-btn').click();
+        await flushPromises();
+        await flushPromises();
+        element.shadowRoot.querySelector('.cc-select').click();
+        await flushPromises();
+
+        resolveSearch({ ...MOCK_SUCCESS, locationName: 'Tokyo', country: 'JP' });
+        await flushPromises();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Paris, FR');
+        expect(element.shadowRoot.querySelector('.update-label').textContent).toBe('Updated just now · cached');
+    });
+
+    // ─── App Builder Configuration ───────────────
+
+    it('searches the default location on load', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ defaultLocation: 'McKinney 75070' });
+        await flushPromises();
+
+        expect(getForecast).toHaveBeenCalledWith({ location: 'McKinney 75070', forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+    });
+
+    it('does not search on load when auto-search is disabled', async () => {
+        const element = createComponent({ defaultLocation: 'McKinney 75070', disableAutoSearch: true });
+        await flushPromises();
+
+        expect(getForecast).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.welcome-container')).not.toBeNull();
+    });
+
+    it('uses the imperial unit system when configured', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ defaultUnitSystem: 'Imperial' });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.hero-temp').textContent).toBe('59');
+        expect(element.shadowRoot.querySelector('.hero-unit').textContent).toBe('°F');
+    });
+
+    it('hides the hourly and daily sections when configured', async () => {
+        const withHourly = {
+            ...MOCK_SUCCESS,
+            hourly: [{ timeUnix: 1708851600, timeStr: '9 AM', temp: 14.0, icon: '03d', description: 'partly cloudy' }]
+        };
+        getForecast.mockResolvedValue(withHourly);
+        const element = createComponent({ hideHourly: true, hideDaily: true });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.hourly-section')).toBeNull();
+        expect(element.shadowRoot.querySelector('.planner-section')).toBeNull();
+        expect(element.shadowRoot.querySelectorAll('.forecast-card').length).toBe(0);
+    });
+
+    it('applies the compact layout class', () => {
+        const element = createComponent({ compactLayout: true });
+        expect(element.shadowRoot.querySelector('.weather-app.compact')).not.toBeNull();
+    });
+
+    // ─── Record Page Mode ────────────────────────
+
+    it('forecasts by coordinates from the record geolocation field', async () => {
+        getForecastByCoordinates.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({
+            recordId: '001000000000001AAA',
+            objectApiName: 'Account',
+            defaultLocation: 'McKinney 75070',
+            geolocationField: 'BillingAddress',
+            addressField: 'BillingAddress'
+        });
+
+        getRecord.emit({
+            fields: {
+                BillingLatitude: { value: 37.77 },
+                BillingLongitude: { value: -122.42 },
+                BillingCity: { value: 'San Francisco' },
+                BillingPostalCode: { value: '94105' }
+            }
+        });
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecast).not.toHaveBeenCalled();
+        expect(getForecastByCoordinates).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42, forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+    });
+
+    it('searches the record address when no coordinates are set', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        createComponent({
+            recordId: '003000000000001AAA',
+            objectApiName: 'Contact',
+            geolocationField: 'MailingAddress',
+            addressField: 'MailingAddress'
+        });
+
+        getRecord.emit({
+            fields: {
+                MailingLatitude: { value: null },
+                MailingLongitude: { value: null },
+                MailingCity: { value: 'McKinney' },
+                MailingPostalCode: { value: '75070' }
+            }
+        });
+        await flushPromises();
+
+        expect(getForecast).toHaveBeenCalledWith({ location: 'McKinney 75070', forecastDays: 7 });
+        expect(getForecastByCoordinates).not.toHaveBeenCalled();
+    });
+
+    it('does not refetch when the record changes without moving', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        createComponent({ recordId: '500000000000001AAA', objectApiName: 'Case', addressField: 'Site_City__c' });
+
+        getRecord.emit({ fields: { Site_City__c: { value: 'Tokyo' } } });
+        await flushPromises();
+        getRecord.emit({ fields: { Site_City__c: { value: 'Tokyo' }, Subject: { value: 'Edited' } } });
+        await flushPromises();
+
+        expect(getForecast).toHaveBeenCalledTimes(1);
+        expect(getForecast).toHaveBeenCalledWith({ location: 'Tokyo', forecastDays: 7 });
+    });
+
+    it('falls back to manual search when the record has no location', async () => {
+        const element = createComponent({
+            recordId: '001000000000001AAA',
+            objectApiName: 'Account',
+            addressField: 'BillingAddress'
+        });
+
+        getRecord.emit({ fields: { BillingCity: { value: null }, BillingPostalCode: { value: null } } });
+        await flushPromises();
+
+        expect(getForecast).not.toHaveBeenCalled();
+        const welcome = element.shadowRoot.querySelector('.welcome-text');
+        expect(welcome.textContent).toContain('no location');
+    });
+
+    // ─── Type-ahead Suggestions ──────────────────
+
+    it('shows debounced location suggestions while typing', async () => {
+        searchLocations.mockResolvedValue(MOCK_CANDIDATES);
+        const element = createComponent();
+
+        await typeAndWaitForSuggestions(element, 'Springfield');
+
+        expect(searchLocations).toHaveBeenCalledTimes(1);
+        expect(searchLocations).toHaveBeenCalledWith({ query: 'Springfield' });
+        const options = element.shadowRoot.querySelectorAll('.suggestion-item');
+        expect(options.length).toBe(2);
+        expect(options[1].querySelector('.suggestion-detail').textContent).toBe('Missouri, United States');
+    });
+
+    it('does not request suggestions for a single character', async () => {
+        const element = createComponent();
+
+        await typeAndWaitForSuggestions(element, 'S');
+
+        expect(searchLocations).not.toHaveBeenCalled();
+    });
+
+    it('fetches by exact coordinates when a suggestion is picked with the keyboard', async () => {
+        searchLocations.mockResolvedValue(MOCK_CANDIDATES);
+        getForecastForPlace.mockResolvedValue({ ...MOCK_SUCCESS, locationName: 'Springfield' });
+        const element = createComponent();
+
+        const input = await typeAndWaitForSuggestions(element, 'Springfield');
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+        await flushPromises();
+
+        const active = element.shadowRoot.querySelector('.suggestion-item.active');
+        expect(active.getAttribute('aria-selected')).toBe('true');
+
+        input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter' }));
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecast).not.toHaveBeenCalled();
+        expect(getForecastForPlace).toHaveBeenCalledWith({ lat: 37.22, lon: -93.30, locationName: 'Springfield', country: 'US', forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('.suggestion-item')).toBeNull();
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+    });
+
+    it('closes suggestions on Escape', async () => {
+        searchLocations.mockResolvedValue(MOCK_CANDIDATES);
+        const element = createComponent();
+
+        const input = await typeAndWaitForSuggestions(element, 'Springfield');
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.suggestion-item')).toBeNull();
+    });
+
+    // ─── Keyboard & Screen Reader ────────────────
+
+    it('exposes the search box as a combobox that tracks the highlighted option', async () => {
+        searchLocations.mockResolvedValue(MOCK_CANDIDATES);
+        const element = createComponent();
+        const input = element.shadowRoot.querySelector('.search-input');
+        expect(input.getAttribute('role')).toBe('combobox');
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+
+        await typeAndWaitForSuggestions(element, 'Springfield');
+        expect(input.getAttribute('aria-expanded')).toBe('true');
+        expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+        await flushPromises();
+
+        const active = element.shadowRoot.querySelector('.suggestion-item.active');
+        expect(active.getAttribute('role')).toBe('option');
+        expect(input.getAttribute('aria-activedescendant')).toBe(active.id);
+        expect(element.shadowRoot.querySelector('[role="listbox"]').id).toBe(input.getAttribute('aria-controls'));
+    });
+
+    it('reaches recent searches with the arrow keys and searches one on Enter', async () => {
+        localStorage.setItem('weather_recent_searches', JSON.stringify(['Tokyo', 'Paris']));
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        const input = element.shadowRoot.querySelector('.search-input');
+
+        input.dispatchEvent(new CustomEvent('focus'));
+        await flushPromises();
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+        await flushPromises();
+
+        const active = element.shadowRoot.querySelector('.recent-item.active');
+        expect(active.textContent.trim()).toBe('Paris');
+        expect(input.getAttribute('aria-activedescendant')).toBe(active.id);
+
+        input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter' }));
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecast).toHaveBeenCalledWith({ location: 'Paris', forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('[role="listbox"]')).toBeNull();
+    });
+
+    it('closes the dropdown on blur without waiting, but not while an option is pressed', async () => {
+        localStorage.setItem('weather_recent_searches', JSON.stringify(['Tokyo']));
+        const element = createComponent();
+        const input = element.shadowRoot.querySelector('.search-input');
+        input.dispatchEvent(new CustomEvent('focus'));
+        await flushPromises();
+
+        const mouseDown = new CustomEvent('mousedown', { cancelable: true });
+        element.shadowRoot.querySelector('.recent-item').dispatchEvent(mouseDown);
+        expect(mouseDown.defaultPrevented).toBe(true);
+
+        input.dispatchEvent(new CustomEvent('blur'));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.recent-item')).toBeNull();
+    });
+
+    it('opens a forecast day from the keyboard with Enter or Space', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        const cards = element.shadowRoot.querySelectorAll('.forecast-card');
+        expect(cards[0].getAttribute('role')).toBe('button');
+        expect(cards[0].getAttribute('tabindex')).toBe('0');
+
+        cards[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.day-nav-label').textContent).toBe('Mon, Feb 26');
+
+        element.shadowRoot.querySelector('.back-btn').click();
+        await flushPromises();
+        element.shadowRoot.querySelectorAll('.forecast-card')[0].dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.day-nav-label').textContent).toBe('Sun, Feb 25');
+    });
+
+    it('ignores other keys on a forecast card', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.forecast-card').dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.day-nav-label')).toBeNull();
+    });
+
+    it('announces loading, the loaded forecast and errors in a live region', async () => {
+        let resolveForecast;
+        getForecast.mockReturnValue(new Promise((resolve) => { resolveForecast = resolve; }));
+        const element = createComponent();
+        const live = element.shadowRoot.querySelector('[aria-live="polite"]');
+
+        await searchAndWait(element, 'SF');
+        expect(live.textContent).toBe('Loading forecast…');
+
+        resolveForecast(MOCK_SUCCESS);
+        await flushPromises();
+        await flushPromises();
+        expect(live.textContent).toBe('Forecast loaded for San Francisco, US: 15°C, scattered clouds.');
+
+        getForecast.mockResolvedValue(MOCK_ERROR);
+        await searchAndWait(element, 'Nowhere');
+        expect(live.textContent).toBe(MOCK_ERROR.errorMessage);
+    });
+
+    // ─── Location Time Zone & Clock Format ───────
+
+    it('formats sunrise and sunset in the location time zone', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, timezone: 'Asia/Tokyo', timezoneAbbreviation: 'JST', utcOffsetSeconds: 32400 });
+        const element = createComponent();
+
+        await searchAndWait(element, 'Tokyo');
+
+        // 1708851600 = 09:00 UTC = 18:00 in Tokyo
+        const times = element.shadowRoot.querySelectorAll('.sunrise-sunset');
+        expect(times[0].textContent).toContain('6:00 PM');
+        expect(element.shadowRoot.querySelector('.location-time').textContent).toContain('JST');
+    });
+
+    it('falls back to the UTC offset when no time zone name is returned', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, utcOffsetSeconds: -21600 });
+        const element = createComponent();
+
+        await searchAndWait(element, 'McKinney');
+
+        const times = element.shadowRoot.querySelectorAll('.sunrise-sunset');
+        expect(times[0].textContent).toContain('3:00 AM');
+    });
+
+    it('switches hourly labels and sunrise to a 24-hour clock and remembers it', async () => {
+        getForecast.mockResolvedValue({
+            ...MOCK_SUCCESS,
+            timezone: 'Asia/Tokyo',
+            hourly: [{ timeUnix: 1708851600, timeStr: '6 PM', temp: 14.0, icon: '03d', description: 'partly cloudy' }]
+        });
+        const element = createComponent();
+
+        await searchAndWait(element, 'Tokyo');
+        expect(element.shadowRoot.querySelector('.hc-time').textContent).toBe('6 PM');
+
+        element.shadowRoot.querySelector('.clock-toggle').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.hc-time').textContent).toBe('18:00');
+        expect(element.shadowRoot.querySelectorAll('.sunrise-sunset')[0].textContent).toContain('18:00');
+        expect(localStorage.getItem('weather_clock_format')).toBe('24');
+    });
+
+    // ─── Forecast Cache ──────────────────────────
+
+    it('serves a repeated search from the cache without calling Apex again', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+
+        await searchAndWait(element, 'San Francisco');
+        await searchAndWait(element, '  san   francisco ');
+
+        expect(getForecast).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.update-label').textContent).toBe('Updated just now · cached');
+        expect(JSON.parse(sessionStorage.getItem('weather_forecast_cache')).aliases['q:san francisco']).toBe('c:37.77,-122.42');
+    });
+
+    it('shows a stale cached forecast instantly and refreshes it in the background', async () => {
+        const fetchedAt = Date.now() - 30 * 60000;
+        sessionStorage.setItem('weather_forecast_cache', JSON.stringify({
+            aliases: { 'q:sf': 'c:37.77,-122.42' },
+            entries: { 'c:37.77,-122.42': { fetchedAt, result: { ...MOCK_SUCCESS, locationName: 'Old SF' } } }
+        }));
+        let resolveFetch;
+        getForecast.mockReturnValue(new Promise((resolve) => { resolveFetch = resolve; }));
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.skeleton-wrapper')).toBeNull();
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Old SF, US');
+        expect(element.shadowRoot.querySelector('.update-label').textContent).toBe('Updated 30 min ago · cached · refreshing…');
+
+        resolveFetch(MOCK_SUCCESS);
+        await flushPromises();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('San Francisco, US');
+        expect(element.shadowRoot.querySelector('.update-label').textContent).toBe('Updated just now');
+    });
+
+    it('keeps the cached forecast when the background refresh fails', async () => {
+        sessionStorage.setItem('weather_forecast_cache', JSON.stringify({
+            aliases: { 'q:sf': 'c:37.77,-122.42' },
+            entries: { 'c:37.77,-122.42': { fetchedAt: Date.now() - 30 * 60000, result: MOCK_SUCCESS } }
+        }));
+        getForecast.mockRejectedValue({ body: { message: 'Server error' } });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+    });
+
+    it('does not cache when the TTL is zero', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ cacheTtlMinutes: 0 });
+
+        await searchAndWait(element, 'SF');
+        await searchAndWait(element, 'SF');
+
+        expect(getForecast).toHaveBeenCalledTimes(2);
+        expect(sessionStorage.getItem('weather_forecast_cache')).toBeNull();
+    });
+
+    // ─── Offline Fallback ────────────────────────
+
+    function seedLastKnown(ageMs, result = MOCK_SUCCESS) {
+        localStorage.setItem('weather_last_known_forecasts', JSON.stringify({
+            aliases: { 'q:sf': 'c:37.77,-122.42' },
+            entries: { 'c:37.77,-122.42': { fetchedAt: Date.now() - ageMs, result } }
+        }));
+    }
+
+    it('remembers the last successful forecast per location in local storage', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ cacheTtlMinutes: 0 });
+
+        await searchAndWait(element, 'SF');
+
+        const stored = JSON.parse(localStorage.getItem('weather_last_known_forecasts'));
+        expect(stored.aliases['q:sf']).toBe('c:37.77,-122.42');
+        expect(stored.entries['c:37.77,-122.42'].result.locationName).toBe('San Francisco');
+    });
+
+    it('shows the last known forecast with a refresh-failed banner when Apex throws', async () => {
+        const fetchedAt = Date.now() - 2 * 3600000;
+        seedLastKnown(Date.now() - fetchedAt);
+        getForecast.mockRejectedValue({ body: { message: 'Read timed out' } });
+        const element = createComponent({ cacheTtlMinutes: 0 });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('San Francisco, US');
+        const options = { hour: 'numeric', minute: '2-digit', hourCycle: 'h12' };
+        if (new Date(fetchedAt).toDateString() !== new Date().toDateString()) {
+            Object.assign(options, { month: 'short', day: 'numeric' });
+        }
+        const time = new Intl.DateTimeFormat('en-US', options).format(new Date(fetchedAt));
+        const message = element.shadowRoot.querySelector('.stale-message').textContent;
+        expect(message.startsWith(`Showing data from ${time}`)).toBe(true);
+        expect(message.endsWith('— refresh failed.')).toBe(true);
+    });
+
+    it('falls back when the weather service returns an HTTP error', async () => {
+        seedLastKnown(10 * 60000);
+        getForecast.mockResolvedValue({ success: false, errorMessage: 'Unable to fetch weather data (HTTP 503).' });
+        const element = createComponent({ cacheTtlMinutes: 0 });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+        expect(element.shadowRoot.querySelector('.stale-banner')).not.toBeNull();
+    });
+
+    it('shows the error when the last known forecast is older than the maximum age', async () => {
+        seedLastKnown(5 * 3600000);
+        getForecast.mockRejectedValue({ body: { message: 'Read timed out' } });
+        const element = createComponent({ cacheTtlMinutes: 0, fallbackMaxAgeHours: 4 });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('Read timed out');
+        expect(element.shadowRoot.querySelector('.stale-banner')).toBeNull();
+    });
+
+    it('does not fall back or remember forecasts when the maximum age is 0', async () => {
+        seedLastKnown(10 * 60000);
+        getForecast.mockRejectedValue({ body: { message: 'Read timed out' } });
+        const element = createComponent({ cacheTtlMinutes: 0, fallbackMaxAgeHours: 0 });
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('Read timed out');
+    });
+
+    it('retries from the banner and clears it once the forecast loads', async () => {
+        seedLastKnown(30 * 60000);
+        getForecast.mockRejectedValue({ body: { message: 'Read timed out' } });
+        getForecastForPlace.mockResolvedValue({ ...MOCK_SUCCESS, current: { ...MOCK_SUCCESS.current, temp: 21 } });
+        const element = createComponent({ cacheTtlMinutes: 0 });
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.stale-retry').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecastForPlace).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42, locationName: 'San Francisco', country: 'US', forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('.stale-banner')).toBeNull();
+        expect(element.shadowRoot.querySelector('.hero-temp').textContent).toBe('21');
+    });
+
+    it('flags a cached forecast whose background refresh failed', async () => {
+        sessionStorage.setItem('weather_forecast_cache', JSON.stringify({
+            aliases: { 'q:sf': 'c:37.77,-122.42' },
+            entries: { 'c:37.77,-122.42': { fetchedAt: Date.now() - 30 * 60000, result: MOCK_SUCCESS } }
+        }));
+        getForecast.mockRejectedValue({ body: { message: 'Server error' } });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.stale-banner')).not.toBeNull();
+    });
+
+    // ─── Error Codes & Retries ───────────────────
+
+    it('shows the message for a not-found location and offers to edit the search', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_ERROR, errorCode: 'NOT_FOUND' });
+        const element = createComponent();
+        await searchAndWait(element, 'XXXNOTREAL');
+
+        const input = element.shadowRoot.querySelector('.search-input');
+        const focus = jest.spyOn(input, 'focus');
+        const action = element.shadowRoot.querySelector('.error-action');
+
+        expect(element.shadowRoot.querySelector('.error-text').textContent).toBe(
+            'We couldn\'t find that location. Check the spelling or try "City, Country" or a zip code.'
+        );
+        expect(action.textContent).toBe('Edit search');
+        action.click();
+        expect(focus).toHaveBeenCalled();
+        expect(getForecast).toHaveBeenCalledTimes(1);
+    });
+
+    it('shows the message for invalid input', async () => {
+        getForecast.mockResolvedValue({ success: false, errorCode: 'INVALID_INPUT', errorMessage: 'Please enter a location to search.' });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('Enter a city, address or zip code to see the forecast.');
+        expect(element.shadowRoot.querySelector('.error-action').textContent).toBe('Edit search');
+    });
+
+    it('keeps the server message and offers no action for uncoded errors', async () => {
+        getForecast.mockResolvedValue(MOCK_ERROR);
+        const element = createComponent();
+        await searchAndWait(element, 'XXXNOTREAL');
+
+        expect(element.shadowRoot.querySelector('.error-text').textContent).toBe(MOCK_ERROR.errorMessage);
+        expect(element.shadowRoot.querySelector('.error-action')).toBeNull();
+    });
+
+    it('ignores a response that arrives after a newer search', async () => {
+        let resolveFirst;
+        getForecast
+            .mockReturnValueOnce(new Promise((resolve) => { resolveFirst = resolve; }))
+            .mockResolvedValueOnce({ ...MOCK_SUCCESS, locationName: 'Oakland' });
+        const element = createComponent({ cacheTtlMinutes: 0 });
+
+        typeInto(element.shadowRoot.querySelector('.search-input'), 'SF');
+        element.shadowRoot.querySelector('.search-btn').click();
+        await searchAndWait(element, 'Oakland');
+        resolveFirst(MOCK_SUCCESS);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Oakland, US');
+    });
+
+    describe('retries', () => {
+        const TIMEOUT = { success: false, errorCode: 'TIMEOUT', errorMessage: 'The weather service did not respond in time.' };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        async function search(element, query) {
+            typeInto(element.shadowRoot.querySelector('.search-input'), query);
+            element.shadowRoot.querySelector('.search-btn').click();
+            await jest.advanceTimersByTimeAsync(0);
+        }
+
+        it('retries transient errors with exponential backoff', async () => {
+            getForecast
+                .mockResolvedValueOnce(TIMEOUT)
+                .mockResolvedValueOnce({ success: false, errorCode: 'RATE_LIMITED' })
+                .mockResolvedValueOnce(MOCK_SUCCESS);
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'SF');
+            expect(getForecast).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(getForecast).toHaveBeenCalledTimes(2);
+
+            await jest.advanceTimersByTimeAsync(1999);
+            expect(getForecast).toHaveBeenCalledTimes(2);
+            await jest.advanceTimersByTimeAsync(1);
+            expect(getForecast).toHaveBeenCalledTimes(3);
+            expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('San Francisco, US');
+        });
+
+        it('does not retry an unexpected server error', async () => {
+            getForecast.mockResolvedValue({ success: false, errorCode: 'UNEXPECTED', errorMessage: 'An error occurred: Unexpected character' });
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'SF');
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(getForecast).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('An error occurred: Unexpected character');
+        });
+
+        it('shows the error with a retry action once retries run out', async () => {
+            getForecast.mockResolvedValue({ success: false, errorCode: 'UPSTREAM_HTTP', errorMessage: 'Unable to fetch weather data (HTTP 502).' });
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'SF');
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(getForecast).toHaveBeenCalledTimes(3);
+            expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('The weather service is unavailable right now.');
+
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            element.shadowRoot.querySelector('.error-action').click();
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(getForecast).toHaveBeenCalledTimes(4);
+            expect(getForecast).toHaveBeenLastCalledWith({ location: 'SF', forecastDays: 7 });
+            expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+        });
+
+        it('labels timeouts and rate limits with their own messages', async () => {
+            getForecast.mockResolvedValue(TIMEOUT);
+            const element = createComponent({ cacheTtlMinutes: 0 });
+            await search(element, 'SF');
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(element.shadowRoot.querySelector('.error-text').textContent).toBe('The weather service took too long to respond.');
+            expect(element.shadowRoot.querySelector('.error-action').textContent).toBe('Try again');
+
+            getForecast.mockResolvedValue({ success: false, errorCode: 'RATE_LIMITED' });
+            await search(element, 'Oakland');
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(element.shadowRoot.querySelector('.error-text').textContent).toBe(
+                'The weather service is busy right now. Wait a moment, then try again.'
+            );
+        });
+
+        it('does not retry a location that was not found', async () => {
+            getForecast.mockResolvedValue({ ...MOCK_ERROR, errorCode: 'NOT_FOUND' });
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'XXXNOTREAL');
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(getForecast).toHaveBeenCalledTimes(1);
+        });
+
+        it('stops retrying a search the user has moved on from', async () => {
+            getForecast.mockResolvedValueOnce(TIMEOUT).mockResolvedValueOnce({ ...MOCK_SUCCESS, locationName: 'Oakland' });
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'SF');
+            await search(element, 'Oakland');
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(getForecast).toHaveBeenCalledTimes(2);
+            expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('Oakland, US');
+        });
+
+        it('falls back to the last known forecast only after retries run out', async () => {
+            seedLastKnown(10 * 60000);
+            getForecast.mockResolvedValue(TIMEOUT);
+            const element = createComponent({ cacheTtlMinutes: 0 });
+
+            await search(element, 'SF');
+            expect(element.shadowRoot.querySelector('.stale-banner')).toBeNull();
+
+            await jest.advanceTimersByTimeAsync(3000);
+            expect(getForecast).toHaveBeenCalledTimes(3);
+            expect(element.shadowRoot.querySelector('.stale-banner')).not.toBeNull();
+        });
+    });
+
+    // ─── Refresh ─────────────────────────────────
+
+    describe('refresh', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+            delete document.hidden;
+        });
+
+        function setDocumentHidden(hidden) {
+            Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+        }
+
+        it('refreshes the shown location in place from the refresh button', async () => {
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            let resolveRefresh;
+            getForecastForPlace.mockReturnValue(new Promise((resolve) => { resolveRefresh = resolve; }));
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            element.shadowRoot.querySelector('.forecast-card').click();
+            await flushPromises();
+            element.shadowRoot.querySelector('.refresh-btn').click();
+            await flushPromises();
+
+            expect(getForecastForPlace).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42, locationName: 'San Francisco', country: 'US', forecastDays: 7 });
+            expect(element.shadowRoot.querySelector('.skeleton-wrapper')).toBeNull();
+            expect(element.shadowRoot.querySelector('.update-label').textContent).toContain('refreshing…');
+
+            resolveRefresh({ ...MOCK_SUCCESS, current: { ...MOCK_SUCCESS.current, temp: 20.4 } });
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.back-btn')).not.toBeNull();
+            expect(element.shadowRoot.querySelector('.update-label').textContent).toBe('Updated just now');
+        });
+
+        it('auto-refreshes on the configured interval while visible', async () => {
+            jest.useFakeTimers({ doNotFake: ['setTimeout', 'clearTimeout', 'nextTick', 'setImmediate', 'queueMicrotask'] });
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            getForecastForPlace.mockResolvedValue(MOCK_SUCCESS);
+            const element = createComponent({ refreshIntervalMinutes: 5 });
+            await searchAndWait(element, 'SF');
+
+            jest.advanceTimersByTime(4 * 60000);
+            expect(getForecastForPlace).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(60000);
+            expect(getForecastForPlace).toHaveBeenCalledTimes(1);
+        });
+
+        it('pauses auto-refresh while hidden and catches up when visible again', async () => {
+            jest.useFakeTimers({ doNotFake: ['setTimeout', 'clearTimeout', 'nextTick', 'setImmediate', 'queueMicrotask'] });
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            getForecastForPlace.mockResolvedValue(MOCK_SUCCESS);
+            const element = createComponent({ refreshIntervalMinutes: 5 });
+            await searchAndWait(element, 'SF');
+
+            setDocumentHidden(true);
+            jest.advanceTimersByTime(10 * 60000);
+            expect(getForecastForPlace).not.toHaveBeenCalled();
+
+            setDocumentHidden(false);
+            document.dispatchEvent(new CustomEvent('visibilitychange'));
+            expect(getForecastForPlace).toHaveBeenCalledTimes(1);
+        });
+
+        it('does not auto-refresh when no interval is configured', async () => {
+            jest.useFakeTimers({ doNotFake: ['setTimeout', 'clearTimeout', 'nextTick', 'setImmediate', 'queueMicrotask'] });
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            jest.advanceTimersByTime(60 * 60000);
+            expect(getForecastForPlace).not.toHaveBeenCalled();
+        });
+    });
+
+    // ─── Hourly Chart ────────────────────────────
+
+    it('renders the hourly chart with both lines and precipitation bars', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        const chart = element.shadowRoot.querySelector('.hourly-chart');
+        expect(chart).not.toBeNull();
+        expect(chart.querySelector('.chart-line-temp').getAttribute('d')).toMatch(/^M/);
+        expect(chart.querySelector('.chart-line-feels').getAttribute('d')).toMatch(/^M/);
+        expect(chart.querySelectorAll('.chart-bar').length).toBe(30);
+        expect(chart.querySelectorAll('.chart-point').length).toBe(30);
+        expect(element.shadowRoot.querySelector('.chart-section .forecast-title').textContent).toBe('Next 30 Hours');
+        // The strip stays at 24 hours while the chart covers the full range
+        expect(element.shadowRoot.querySelectorAll('.hourly-card').length).toBe(24);
+    });
+
+    it('shows a tooltip with exact values when a chart point is focused', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        const points = element.shadowRoot.querySelectorAll('.chart-point');
+        points[4].dispatchEvent(new CustomEvent('focus'));
+        await flushPromises();
+
+        const tooltip = element.shadowRoot.querySelector('.chart-tooltip');
+        expect(tooltip.querySelector('.ct-temp').textContent).toBe('12°C');
+        expect(tooltip.querySelector('.ct-feels').textContent).toBe('Feels like 10°C');
+        expect(tooltip.querySelector('.ct-pop').textContent).toBe('💧 12%');
+
+        points[4].dispatchEvent(new CustomEvent('blur'));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.chart-tooltip')).toBeNull();
+    });
+
+    it('redraws the chart in Fahrenheit when the unit is toggled', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+        const celsiusLabels = Array.from(element.shadowRoot.querySelectorAll('.chart-y-label')).map((el) => el.textContent);
+
+        element.shadowRoot.querySelector('.unit-toggle input').dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const fahrenheitLabels = Array.from(element.shadowRoot.querySelectorAll('.chart-y-label')).map((el) => el.textContent);
+        expect(fahrenheitLabels).not.toEqual(celsiusLabels);
+
+        element.shadowRoot.querySelectorAll('.chart-point')[0].dispatchEvent(new CustomEvent('mouseenter'));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.ct-temp').textContent).toBe('50°F');
+    });
+
+    it('limits the chart to 48 hours when more hourly data is available', async () => {
+        const week = Array.from({ length: 72 }, (_, i) => ({ ...MOCK_HOURLY[0], timeUnix: 1708851600 + i * 3600 }));
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: week });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelectorAll('.chart-point').length).toBe(48);
+        expect(element.shadowRoot.querySelector('.chart-section .forecast-title').textContent).toBe('Next 48 Hours');
+    });
+
+    it('does not render the chart with fewer than two hours', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY.slice(0, 1) });
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.hourly-card')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.hourly-chart')).toBeNull();
+    });
+
+    // ─── Forecast Range ──────────────────────────
+
+    describe('forecast range', () => {
+        const dayAt = (i) => ({ ...MOCK_SUCCESS.daily[i % 2], timeUnix: 1708848000 + i * 86400 });
+        const MOCK_16_DAYS = {
+            ...MOCK_SUCCESS,
+            daily: Array.from({ length: 16 }, (_, i) => dayAt(i)),
+            hourly: Array.from({ length: 96 }, (_, i) => ({ ...MOCK_HOURLY[0], timeUnix: 1708851600 + i * 3600, temp: i }))
+        };
+
+        it('requests the selected range and remembers it', async () => {
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            getForecastForPlace.mockResolvedValue(MOCK_16_DAYS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            const options = element.shadowRoot.querySelectorAll('.range-option');
+            expect(Array.from(options).map((el) => el.textContent)).toEqual(['7 days', '14 days', '16 days']);
+            expect(options[0].getAttribute('aria-pressed')).toBe('true');
+
+            options[1].click();
+            await flushPromises();
+            await flushPromises();
+
+            expect(getForecastForPlace).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42, locationName: 'San Francisco', country: 'US', forecastDays: 14 });
+            expect(localStorage.getItem('weather_forecast_range')).toBe('14');
+            expect(element.shadowRoot.querySelectorAll('.range-option')[1].classList).toContain('active');
+            expect(element.shadowRoot.querySelector('.daily-section .pager-status').textContent).toBe('Days 1–7 of 14');
+        });
+
+        it('starts from the stored range', async () => {
+            localStorage.setItem('weather_forecast_range', '16');
+            getForecast.mockResolvedValue(MOCK_16_DAYS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            expect(getForecast).toHaveBeenCalledWith({ location: 'SF', forecastDays: 16 });
+            expect(element.shadowRoot.querySelector('.hourly-section .forecast-title').textContent).toBe('96-Hour Forecast');
+        });
+
+        it('pages through the days and marks far-out days as less certain', async () => {
+            localStorage.setItem('weather_forecast_range', '16');
+            getForecast.mockResolvedValue(MOCK_16_DAYS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            const root = element.shadowRoot;
+            expect(root.querySelectorAll('.forecast-card').length).toBe(7);
+            expect(root.querySelector('.day-page-prev').disabled).toBe(true);
+            expect(root.querySelector('.forecast-card.confidence-medium')).toBeNull();
+
+            root.querySelector('.day-page-next').click();
+            await flushPromises();
+
+            const cards = root.querySelectorAll('.forecast-card');
+            expect(root.querySelector('.daily-section .pager-status').textContent).toBe('Days 8–14 of 16');
+            expect(cards[0].dataset.index).toBe('7');
+            expect(cards[0].classList).toContain('confidence-medium');
+            expect(cards[0].querySelector('.fc-confidence').textContent).toBe('Less certain');
+            expect(cards[3].classList).toContain('confidence-low');
+            expect(cards[3].querySelector('.fc-confidence').textContent).toBe('Uncertain');
+            expect(root.querySelector('.confidence-note')).not.toBeNull();
+
+            root.querySelector('.day-page-next').click();
+            await flushPromises();
+            expect(root.querySelectorAll('.forecast-card').length).toBe(2);
+            expect(root.querySelector('.day-page-next').disabled).toBe(true);
+        });
+
+        it('pages through the hourly strip a day at a time', async () => {
+            getForecast.mockResolvedValue(MOCK_16_DAYS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            const root = element.shadowRoot;
+            expect(root.querySelector('.hourly-section .forecast-title').textContent).toBe('48-Hour Forecast');
+            expect(root.querySelector('.hour-pager .pager-status').textContent).toBe('Hours 1–24 of 48');
+            const firstHour = root.querySelector('.hourly-card').textContent;
+
+            root.querySelector('.hour-page-next').click();
+            await flushPromises();
+
+            expect(root.querySelector('.hour-pager .pager-status').textContent).toBe('Hours 25–48 of 48');
+            expect(root.querySelectorAll('.hourly-card').length).toBe(24);
+            expect(root.querySelector('.hourly-card').textContent).not.toBe(firstHour);
+            expect(root.querySelector('.hour-page-next').disabled).toBe(true);
+        });
+
+        it('keeps hours past the first week out of the cache and says so in the day details', async () => {
+            localStorage.setItem('weather_forecast_range', '16');
+            getForecast.mockResolvedValue({
+                ...MOCK_16_DAYS,
+                hourly: Array.from({ length: 384 }, (_, i) => ({ ...MOCK_HOURLY[0], timeUnix: 1708851600 + i * 3600 }))
+            });
+            const openTenthDay = async (element) => {
+                element.shadowRoot.querySelector('.day-page-next').click();
+                await flushPromises();
+                element.shadowRoot.querySelectorAll('.forecast-card')[2].click();
+                await flushPromises();
+            };
+
+            const fresh = createComponent();
+            await searchAndWait(fresh, 'SF');
+            await openTenthDay(fresh);
+            expect(fresh.shadowRoot.querySelectorAll('.day-hour').length).toBe(24);
+            expect(fresh.shadowRoot.querySelector('.day-hours-unavailable')).toBeNull();
+
+            const cached = JSON.parse(sessionStorage.getItem('weather_forecast_cache'));
+            expect(Object.values(cached.entries)[0].result.hourly.length).toBe(168);
+            const lastKnown = JSON.parse(localStorage.getItem('weather_last_known_forecasts'));
+            expect(Object.values(lastKnown.entries)[0].result.hourly.length).toBe(168);
+
+            const fromCache = createComponent();
+            await searchAndWait(fromCache, 'SF');
+            expect(getForecast).toHaveBeenCalledTimes(1);
+            await openTenthDay(fromCache);
+            expect(fromCache.shadowRoot.querySelectorAll('.day-hour').length).toBe(0);
+            expect(fromCache.shadowRoot.querySelector('.day-hours-unavailable').textContent).toBe(
+                "Hour-by-hour data isn't available for this day."
+            );
+        });
+
+        it('trims a longer forecast to the default range', async () => {
+            getForecast.mockResolvedValue(MOCK_16_DAYS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            expect(element.shadowRoot.querySelector('.day-pager')).toBeNull();
+            expect(element.shadowRoot.querySelectorAll('.forecast-card').length).toBe(7);
+            expect(element.shadowRoot.querySelector('.confidence-note')).toBeNull();
+        });
+    });
+
+    // ─── Sun & Moon ──────────────────────────────
+
+    describe('sun and moon', () => {
+        it('shows day length, twilight, golden hour and the moon for today', async () => {
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            const panel = element.shadowRoot.querySelector('.astronomy-section');
+            expect(panel.querySelector('.forecast-title').textContent).toBe('Sun & Moon');
+            // 1708871400 → 1708911300 from the API
+            expect(panel.querySelector('.day-length-value').textContent).toBe('11h 5m');
+            expect(panel.querySelector('.day-length-change').textContent).toMatch(/^\dm \d+s longer than yesterday$/);
+
+            const periods = Array.from(panel.querySelectorAll('.astro-row[data-period]'));
+            expect(periods.map((row) => row.dataset.period)).toEqual(['golden', 'civil', 'nautical']);
+            periods.forEach((row) => {
+                expect(row.querySelector('.astro-morning').textContent).toMatch(/ – /);
+                expect(row.querySelector('.astro-evening').textContent).toMatch(/ – /);
+            });
+
+            // Full moon on Feb 24, 2024
+            expect(panel.querySelector('.moon-phase').textContent).toBe('Full Moon');
+            expect(panel.querySelector('.moon-illumination').textContent).toMatch(/^9\d% illuminated$/);
+            expect(panel.querySelector('.moonrise-value').textContent).not.toBe('--');
+            expect(panel.querySelector('.moonset-value').textContent).not.toBe('--');
+            // Not today, so there is no sun on the arc
+            expect(panel.querySelector('.arc-sun')).toBeNull();
+        });
+
+        it('places the sun on the arc between sunrise and sunset today', async () => {
+            const nowSeconds = Math.floor(Date.now() / 1000);
+            getForecast.mockResolvedValue({
+                ...MOCK_SUCCESS,
+                daily: [{ ...MOCK_SUCCESS.daily[0], timeUnix: TODAY_START, sunrise: nowSeconds - 3600, sunset: nowSeconds + 3600 }]
+            });
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            const arc = element.shadowRoot.querySelector('.sun-arc');
+            const sun = arc.querySelector('.arc-sun');
+            expect(sun).not.toBeNull();
+            // Halfway through daylight is the top of the arc
+            expect(sun.getAttribute('cx')).toBe('100');
+            expect(sun.getAttribute('cy')).toBe('15');
+            expect(arc.getAttribute('aria-label')).toMatch(/50% of daylight has passed$/);
+            expect(arc.querySelector('.arc-elapsed').getAttribute('d')).toBe('M 15 100 A 85 85 0 0 1 100 15');
+        });
+
+        it('follows the selected day', async () => {
+            getForecast.mockResolvedValue(MOCK_SUCCESS);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+
+            element.shadowRoot.querySelectorAll('.forecast-card')[1].click();
+            await flushPromises();
+
+            // 1708957740 → 1708997760
+            const panel = element.shadowRoot.querySelector('.astronomy-section');
+            expect(panel.querySelector('.day-length-value').textContent).toBe('11h 7m');
+            expect(panel.querySelector('.moon-phase').textContent).toBe('Waning Gibbous');
+        });
+
+        it('handles the midnight sun', async () => {
+            // Longyearbyen at the June solstice
+            getForecast.mockResolvedValue({
+                ...MOCK_SUCCESS,
+                lat: 78.22,
+                lon: 15.65,
+                daily: [{ ...MOCK_SUCCESS.daily[0], timeUnix: 1718920800, sunrise: null, sunset: null }]
+            });
+            const element = createComponent();
+            await searchAndWait(element, 'Longyearbyen');
+
+            const panel = element.shadowRoot.querySelector('.astronomy-section');
+            expect(panel.querySelector('.day-length-value').textContent).toBe('Sun up all day');
+            expect(panel.querySelector('.day-length-change').textContent).toBe('Same length as yesterday');
+            expect(panel.querySelector('.astro-row[data-period="civil"] .astro-morning').textContent).toBe('--');
+        });
+    });
+
+    // ─── Selected Day Detail ─────────────────────
+
+    it('shows real wind, gust, humidity, precipitation and UV for the selected day', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        const values = Array.from(element.shadowRoot.querySelectorAll('.chip-value')).map((el) => el.textContent);
+        expect(values).toEqual(['10%', '0.4 mm', '3.5 m/s W', '8.1 m/s', '70%', '3']);
+    });
+
+    it('converts the selected day precipitation and wind to imperial units', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent({ defaultUnitSystem: 'Imperial' });
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        const values = Array.from(element.shadowRoot.querySelectorAll('.chip-value')).map((el) => el.textContent);
+        expect(values[1]).toBe('0.02 in');
+        expect(values[2]).toBe('7.8 mph W');
+    });
+
+    it('lists only the selected day hours in the hour-by-hour breakdown', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        // The first hour starts at 01:00 local, so 23 hours remain before Wednesday
+        const rows = element.shadowRoot.querySelectorAll('.day-hour');
+        expect(rows.length).toBe(23);
+        expect(rows[0].querySelector('.dh-pop').textContent).toBe('0%');
+        expect(rows[0].querySelector('.dh-wind').textContent).toBe('2.5 m/s');
+        expect(rows[0].querySelector('.dh-humidity').textContent).toBe('60%');
+    });
+
+    it('steps between days with the previous and next buttons', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.day-nav-prev').disabled).toBe(true);
+
+        element.shadowRoot.querySelector('.day-nav-next').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.day-nav-label').textContent).toBe('Mon, Feb 26');
+        expect(element.shadowRoot.querySelectorAll('.day-hour').length).toBe(7);
+        expect(element.shadowRoot.querySelector('.day-nav-next').disabled).toBe(true);
+
+        element.shadowRoot.querySelector('.day-nav-prev').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.day-nav-label').textContent).toBe('Sun, Feb 25');
+    });
+
+    // ─── Unit Preferences ────────────────────────
+
+    function chipValue(element, label) {
+        const chip = Array.from(element.shadowRoot.querySelectorAll('.chip'))
+            .find((node) => node.querySelector('.chip-label').textContent === label);
+        return chip.querySelector('.chip-value').textContent;
+    }
+
+    async function pickUnit(element, quantity, unit) {
+        element.shadowRoot.querySelector(`.unit-option[data-quantity="${quantity}"][data-unit="${unit}"]`).click();
+        await flushPromises();
+    }
+
+    it('changes each unit independently from the settings popover', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.settings-popover')).toBeNull();
+        element.shadowRoot.querySelector('.settings-btn').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelectorAll('.settings-group').length).toBe(5);
+
+        await pickUnit(element, 'wind', 'kmh');
+        await pickUnit(element, 'pressure', 'inHg');
+        await pickUnit(element, 'distance', 'mi');
+
+        expect(chipValue(element, 'Wind')).toBe('16 km/h');
+        expect(chipValue(element, 'Pressure')).toBe('29.97 inHg');
+        expect(chipValue(element, 'Visibility')).toBe('6.2 mi');
+        expect(element.shadowRoot.querySelector('.hero-unit').textContent).toBe('°C');
+        expect(element.shadowRoot.querySelector('.unit-option[data-unit="kmh"]').getAttribute('aria-pressed')).toBe('true');
+    });
+
+    it('shows wind as a Beaufort force', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.settings-btn').click();
+        await flushPromises();
+        await pickUnit(element, 'wind', 'bft');
+
+        expect(chipValue(element, 'Wind')).toBe('Force 3');
+    });
+
+    it('persists unit preferences and restores them over the configured unit system', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const first = createComponent({ defaultUnitSystem: 'Imperial' });
+        first.shadowRoot.querySelector('.settings-btn').click();
+        await flushPromises();
+        await pickUnit(first, 'wind', 'kn');
+        first.shadowRoot.querySelector('.unit-toggle input').dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(JSON.parse(localStorage.getItem('weather_unit_preferences'))).toEqual({
+            temperature: 'C', wind: 'kn', pressure: 'inHg', distance: 'mi', precipitation: 'in'
+        });
+
+        document.body.removeChild(first);
+        const second = createComponent({ defaultUnitSystem: 'Imperial' });
+        await searchAndWait(second, 'SF');
+
+        expect(second.shadowRoot.querySelector('.hero-unit').textContent).toBe('°C');
+        expect(chipValue(second, 'Wind')).toBe('9 kn');
+    });
+
+    it('closes the settings popover on Escape', async () => {
+        const element = createComponent();
+        element.shadowRoot.querySelector('.settings-btn').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.settings-popover')
+            .dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.settings-popover')).toBeNull();
+    });
+
+    // ─── Precipitation Nowcast ───────────────────
+
+    describe('precipitation nowcast', () => {
+        // 14:05 UTC, five minutes into a 15-minute step
+        const NOW_SECONDS = Date.UTC(2026, 1, 24, 14, 5) / 1000;
+        const FIRST_STEP_END = NOW_SECONDS + 600;
+
+        function withNowcast(precipitation, snowfall = []) {
+            return {
+                ...MOCK_SUCCESS,
+                nowcast: precipitation.map((mm, i) => ({
+                    timeUnix: FIRST_STEP_END + i * 900,
+                    precipitation: mm,
+                    snowfall: snowfall[i] ?? 0
+                }))
+            };
+        }
+
+        async function renderNowcast(result) {
+            getForecast.mockResolvedValue(result);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+            return element;
+        }
+
+        function nowcastSummary(element) {
+            return element.shadowRoot.querySelector('.nowcast-summary')?.textContent;
+        }
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(NOW_SECONDS * 1000);
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        it('says when rain starts and draws one intensity step per 15 minutes', async () => {
+            const element = await renderNowcast(withNowcast([0, 0, 0.3, 0.8, 2.5, 0.5, 0, 0]));
+
+            expect(nowcastSummary(element)).toBe('Rain starting in ~25 min');
+            const steps = Array.from(element.shadowRoot.querySelectorAll('.nowcast-step'));
+            expect(steps.map((step) => step.className.replace('nowcast-step nowcast-level-', ''))).toEqual(
+                ['0', '0', '1', '2', '3', '1', '0', '0']
+            );
+            expect(steps[2].title).toBe('2:30 PM: 0.3 mm');
+            expect(element.shadowRoot.querySelector('.nowcast-bar').getAttribute('aria-label'))
+                .toBe('Precipitation intensity over the next 2 hours');
+        });
+
+        it('says when ongoing rain ends', async () => {
+            const element = await renderNowcast(withNowcast([0.4, 0.4, 0.2, 0, 0, 0, 0, 0]));
+
+            expect(nowcastSummary(element)).toBe('Rain ending in ~40 min');
+        });
+
+        it('reports a dry outlook and ignores trace amounts', async () => {
+            const element = await renderNowcast(withNowcast([0, 0.05, 0, 0, 0, 0, 0, 0]));
+
+            expect(nowcastSummary(element)).toBe('No precipitation expected for 2 hours');
+            expect(element.shadowRoot.querySelectorAll('.nowcast-level-0').length).toBe(8);
+        });
+
+        it('calls it snow when most of the water falls as snow', async () => {
+            const element = await renderNowcast(withNowcast(Array(8).fill(0.5), Array(8).fill(0.35)));
+
+            expect(nowcastSummary(element)).toBe('Snow continuing for at least 2 hours');
+            expect(element.shadowRoot.querySelectorAll('.nowcast-snow').length).toBe(8);
+        });
+
+        it('is hidden without minutely data or once it no longer covers two hours', async () => {
+            let element = await renderNowcast(MOCK_SUCCESS);
+            expect(element.shadowRoot.querySelector('.hero-nowcast')).toBeNull();
+
+            document.body.removeChild(element);
+            const stale = withNowcast(Array(8).fill(0));
+            stale.nowcast = stale.nowcast.map((step) => ({ ...step, timeUnix: step.timeUnix - 3600 }));
+            element = await renderNowcast(stale);
+            expect(element.shadowRoot.querySelector('.hero-nowcast')).toBeNull();
+        });
+
+        it('refreshes together with the forecast', async () => {
+            const element = await renderNowcast(withNowcast(Array(8).fill(0)));
+            expect(nowcastSummary(element)).toBe('No precipitation expected for 2 hours');
+
+            getForecastForPlace.mockResolvedValue(withNowcast([0, 0, 0, 0, 0, 0.6, 0.6, 0.6]));
+            element.shadowRoot.querySelector('.refresh-btn').click();
+            await flushPromises();
+            await flushPromises();
+
+            expect(nowcastSummary(element)).toBe('Rain starting in ~70 min');
+        });
+    });
+
+    // ─── Activity Planner ────────────────────────
+
+    describe('activity planner', () => {
+        // Tuesday 06:30 UTC; MOCK_SUCCESS has no time zone, so labels are in UTC
+        const NOW_SECONDS = Date.UTC(2026, 1, 24, 6, 30) / 1000;
+        const FIRST_HOUR = NOW_SECONDS - 1800;
+
+        /**
+         * 36 hours from Tuesday 06:00. Daylight runs 07:00–18:00 and nights are
+         * cold; Tuesday noon is windy, Tuesday afternoon is the mildest stretch,
+         * and Wednesday is wet.
+         */
+        function plannerForecast({ withDayFlags = true } = {}) {
+            const hourly = Array.from({ length: 36 }, (_, i) => {
+                const timeUnix = FIRST_HOUR + i * 3600;
+                const hourOfDay = (6 + i) % 24;
+                const isDay = hourOfDay >= 7 && hourOfDay < 18;
+                const hour = {
+                    timeUnix,
+                    temp: isDay ? (hourOfDay >= 13 ? 20 : 15) : 2,
+                    windSpeed: hourOfDay === 12 ? 12 : 3,
+                    pop: i >= 18 ? 50 : 0,
+                    icon: '01d'
+                };
+                return withDayFlags ? { ...hour, isDay } : hour;
+            });
+            const tuesday = FIRST_HOUR - 6 * 3600;
+            const daily = [0, 1].map((day) => ({
+                ...MOCK_SUCCESS.daily[0],
+                timeUnix: tuesday + day * 86400,
+                sunrise: tuesday + day * 86400 + 7 * 3600,
+                sunset: tuesday + day * 86400 + 18 * 3600
+            }));
+            return { ...MOCK_SUCCESS, hourly, daily };
+        }
+
+        async function renderPlanner(result = plannerForecast()) {
+            getForecast.mockResolvedValue(result);
+            const element = createComponent();
+            await searchAndWait(element, 'SF');
+            return element;
+        }
+
+        function windowRanges(element) {
+            return Array.from(element.shadowRoot.querySelectorAll('.planner-window'))
+                .map((row) => `${row.querySelector('.pw-range').textContent} (${row.querySelector('.pw-hours').textContent})`);
+        }
+
+        function profileButton(element, label) {
+            return Array.from(element.shadowRoot.querySelectorAll('.planner-profiles .unit-option'))
+                .find((button) => button.textContent.trim() === label);
+        }
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(NOW_SECONDS * 1000);
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        it('ranks the best windows for the selected activity and highlights them in the hourly strip', async () => {
+            const element = await renderPlanner();
+
+            expect(profileButton(element, 'Roofing').getAttribute('aria-pressed')).toBe('true');
+            expect(element.shadowRoot.querySelector('.planner-criteria').textContent).toBe(
+                'Temperature 5°C to 35°C · Wind up to 9.0 m/s · Precipitation chance up to 20% · Daylight only · At least 3 h'
+            );
+            expect(windowRanges(element)).toEqual(['Tue 1 PM – 6 PM (5 h)', 'Tue 7 AM – 12 PM (5 h)']);
+            expect(element.shadowRoot.querySelector('.planner-window .pw-detail').textContent).toBe(
+                '20°C to 20°C, wind up to 3.0 m/s, precipitation chance up to 0%'
+            );
+
+            const cards = Array.from(element.shadowRoot.querySelectorAll('.hourly-card'));
+            expect(cards.filter((card) => card.classList.contains('planner-match')).length).toBe(10);
+            const best = cards.filter((card) => card.classList.contains('planner-best'));
+            expect(best.map((card) => card.querySelector('.hc-time').textContent)).toEqual(['1 PM', '2 PM', '3 PM', '4 PM', '5 PM']);
+            expect(best[0].title).toBe('Good time for Roofing');
+        });
+
+        it('uses sunrise and sunset from the daily forecast when hours have no daylight flag', async () => {
+            const element = await renderPlanner(plannerForecast({ withDayFlags: false }));
+
+            expect(windowRanges(element)).toEqual(['Tue 1 PM – 6 PM (5 h)', 'Tue 7 AM – 12 PM (5 h)']);
+        });
+
+        it('judges days past the hourly forecast from the daily forecast', async () => {
+            const forecast = plannerForecast();
+            const thursday = forecast.daily[0].timeUnix + 2 * 86400;
+            forecast.daily = [
+                ...forecast.daily,
+                { ...forecast.daily[0], timeUnix: thursday, sunrise: thursday + 7 * 3600, sunset: thursday + 18 * 3600, tempHigh: 20, tempLow: 8, windSpeed: 3, pop: 0 },
+                { ...forecast.daily[0], timeUnix: thursday + 86400, sunrise: thursday + 86400 + 7 * 3600, sunset: thursday + 86400 + 18 * 3600, tempHigh: 20, tempLow: 8, windSpeed: 3, pop: 80 }
+            ];
+            const element = await renderPlanner(forecast);
+
+            expect(windowRanges(element)).toEqual(['Tue 1 PM – 6 PM (5 h)', 'Thu 7 AM – 6 PM (11 h)', 'Tue 7 AM – 12 PM (5 h)']);
+            const rows = element.shadowRoot.querySelectorAll('.planner-window');
+            expect(rows[0].querySelector('.pw-source')).toBeNull();
+            expect(rows[1].querySelector('.pw-source').textContent).toBe(
+                "Judged from the daily forecast; hourly detail isn't available this far ahead"
+            );
+            expect(rows[1].querySelector('.pw-detail').textContent).toBe('8°C to 20°C, wind up to 3.0 m/s, precipitation chance up to 0%');
+        });
+
+        it('switches profiles and remembers the choice', async () => {
+            const element = await renderPlanner();
+
+            profileButton(element, 'Concrete Pour').click();
+            await flushPromises();
+
+            expect(windowRanges(element)).toEqual([]);
+            expect(element.shadowRoot.querySelector('.planner-empty').textContent).toBe('No time in the forecast meets these conditions.');
+            expect(element.shadowRoot.querySelectorAll('.hourly-card.planner-match').length).toBe(0);
+            expect(JSON.parse(localStorage.getItem('weather_activity_planner')).profileId).toBe('concrete');
+        });
+
+        it('finds windows for a custom profile edited in display units', async () => {
+            const element = await renderPlanner();
+
+            profileButton(element, 'Custom').click();
+            await flushPromises();
+            expect(windowRanges(element)).toEqual(['Tue 1 PM – 6 PM (5 h)', 'Tue 7 AM – 12 PM (5 h)']);
+
+            const windInput = element.shadowRoot.querySelector('input[data-field="maxWind"]');
+            windInput.value = '15';
+            windInput.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+
+            expect(windowRanges(element)).toEqual(['Tue 7 AM – 6 PM (11 h)']);
+            expect(JSON.parse(localStorage.getItem('weather_activity_planner')).custom.maxWind).toBe(15);
+        });
+
+        it('restores a saved custom profile', async () => {
+            localStorage.setItem('weather_activity_planner', JSON.stringify({
+                profileId: 'custom',
+                custom: { minTemp: 0, maxTemp: 30, maxWind: 15, maxPop: 60, daylightOnly: true, minHours: 12 }
+            }));
+            const element = await renderPlanner();
+
+            expect(profileButton(element, 'Custom').getAttribute('aria-pressed')).toBe('true');
+            expect(element.shadowRoot.querySelector('input[data-field="minHours"]').value).toBe('12');
+            expect(windowRanges(element)).toEqual([]);
+        });
+    });
+
+    // ─── Air Quality & UV ────────────────────────
+
+    function airQualityMetrics(element) {
+        return Array.from(element.shadowRoot.querySelectorAll('.aq-metric')).map((node) => ({
+            metric: node.dataset.metric,
+            value: node.querySelector('.aq-value').textContent,
+            category: node.querySelector('.aq-category')?.textContent || '',
+            className: node.className
+        }));
+    }
+
+    it('loads air quality for the forecast location and shows categorized readings', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getAirQuality.mockResolvedValue(MOCK_AIR_QUALITY);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(getAirQuality).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42 });
+        expect(element.shadowRoot.querySelector('.air-quality-section .forecast-title').textContent).toBe('Air Quality & UV');
+        expect(airQualityMetrics(element)).toEqual([
+            { metric: 'usAqi', value: '42', category: 'Good', className: 'aq-metric aq-level-1' },
+            { metric: 'europeanAqi', value: '45', category: 'Moderate', className: 'aq-metric aq-level-3' },
+            { metric: 'pm25', value: '9.8 µg/m³', category: '', className: 'aq-metric' },
+            { metric: 'pm10', value: '15.2 µg/m³', category: '', className: 'aq-metric' },
+            { metric: 'ozone', value: '61 µg/m³', category: '', className: 'aq-metric' },
+            { metric: 'uvNow', value: '2.4', category: 'Low', className: 'aq-metric aq-level-1' },
+            { metric: 'uvTodayMax', value: '6.8', category: 'High', className: 'aq-metric aq-level-3' }
+        ]);
+        expect(element.shadowRoot.querySelector('.aq-guidance-air').textContent).toBe('Air quality is satisfactory. Enjoy your usual outdoor activities.');
+        expect(element.shadowRoot.querySelector('.aq-guidance-uv').textContent).toContain('SPF 30+');
+    });
+
+    it('leaves out missing readings and falls back to European guidance', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getAirQuality.mockResolvedValue({ success: true, usAqi: null, europeanAqi: 85, pm25: 40.2, uvIndex: 0, daily: [] });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(airQualityMetrics(element).map((metric) => metric.metric)).toEqual(['europeanAqi', 'pm25', 'uvNow']);
+        expect(airQualityMetrics(element)[0].category).toBe('Very Poor');
+        expect(element.shadowRoot.querySelector('.aq-guidance-air').textContent).toBe(
+            'Everyone should avoid prolonged or heavy exertion outdoors and move heavy work indoors.'
+        );
+        expect(element.shadowRoot.querySelector('.aq-guidance-uv').textContent).toBe('Little sun protection needed.');
+    });
+
+    it('hides the panel when air quality is unavailable', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getAirQuality.mockResolvedValue({ success: false, errorCode: 'UPSTREAM_HTTP' });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.air-quality-section')).toBeNull();
+        expect(element.shadowRoot.querySelector('.hero-section')).not.toBeNull();
+    });
+
+    it('hides the panel without affecting the forecast when the call fails', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getAirQuality.mockRejectedValue({ body: { message: 'Read timed out' } });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.air-quality-section')).toBeNull();
+        expect(element.shadowRoot.querySelector('.error-text')).toBeNull();
+        consoleError.mockRestore();
+    });
+
+    it('hides the panel while a forecast day is selected', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getAirQuality.mockResolvedValue(MOCK_AIR_QUALITY);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.air-quality-section')).toBeNull();
+    });
+
+    // ─── Past Weather ────────────────────────────
+
+    function historyDeltas(element) {
+        return Array.from(element.shadowRoot.querySelectorAll('.history-delta')).map((node) => node.textContent);
+    }
+
+    function trendDays(element) {
+        return Array.from(element.shadowRoot.querySelectorAll('.trend-day')).map((node) => ({
+            day: node.querySelector('.trend-label').textContent,
+            high: node.querySelector('.trend-high').textContent,
+            low: node.querySelector('.trend-low').textContent,
+            className: node.className
+        }));
+    }
+
+    it('compares today\'s high with yesterday, the normal and last year', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getHistory.mockResolvedValue(MOCK_HISTORY);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(getHistory).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42 });
+        expect(historyDeltas(element)).toEqual(['6° warmer than yesterday', '4° above normal', 'Last year: 15° / 9°']);
+        const [yesterday, normal] = element.shadowRoot.querySelectorAll('.history-delta');
+        expect(yesterday.className).toBe('history-delta history-warmer');
+        expect(yesterday.title).toBe('Yesterday: high 11°, low 5°');
+        expect(normal.title).toBe('Normal for the date: high 13°, low 7° (10-year average)');
+    });
+
+    it('works out the differences in the display unit', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getHistory.mockResolvedValue({ ...MOCK_HISTORY, yesterday: { tempHigh: 19.5, tempLow: 9 }, normalHigh: 17, lastYear: null });
+        const element = createComponent({ defaultUnitSystem: 'Imperial' });
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        // 62.8°F against 67.1°F and 62.6°F, compared as the rounded 63°, 67° and 63°
+        expect(historyDeltas(element)).toEqual(['4° cooler than yesterday', 'Near normal']);
+        expect(element.shadowRoot.querySelector('.history-delta').className).toBe('history-delta history-cooler');
+    });
+
+    it('hides the comparisons when past weather is unavailable', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getHistory.mockRejectedValue({ body: { message: 'Read timed out' } });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.hero-history')).toBeNull();
+        expect(element.shadowRoot.querySelector('.hero-temp').textContent).toBe('15');
+        consoleError.mockRestore();
+    });
+
+    it('shows the week before a selected day, observed days first', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getHistory.mockResolvedValue(MOCK_HISTORY);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        element.shadowRoot.querySelectorAll('.forecast-card')[1].click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.trend-section .forecast-title').textContent).toBe('Past 7 Days');
+        expect(element.shadowRoot.querySelector('.trend-chart').getAttribute('aria-label'))
+            .toBe('Daily highs and lows for the week before Mon, Feb 26');
+        const days = trendDays(element);
+        expect(days.map((day) => day.day)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun', 'Mon']);
+        expect(days[0]).toEqual({ day: 'Mon', high: '13°', low: '7°', className: 'trend-day' });
+        expect(days[6]).toEqual({ day: 'Sun', high: '16°', low: '13°', className: 'trend-day trend-forecast' });
+        expect(days[7].className).toBe('trend-day trend-forecast trend-selected');
+        expect(element.shadowRoot.querySelector('.hero-history')).toBeNull();
+    });
+
+    it('scales the trend bars to the week in the current unit', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        getHistory.mockResolvedValue(MOCK_HISTORY);
+        const element = createComponent({ defaultUnitSystem: 'Imperial' });
+        await searchAndWait(element, 'SF');
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        const days = trendDays(element);
+        expect(days).toHaveLength(8);
+        expect(days[0]).toEqual({ day: 'Sun', high: '54°', low: '43°', className: 'trend-day' });
+        // The week runs from 4°C (Fri's low) to 16°C (Sun's high)
+        const bars = element.shadowRoot.querySelectorAll('.trend-bar');
+        expect(bars[0].style.bottom).toBe('16.7%');
+        expect(bars[5].style.bottom).toBe('0.0%');
+        expect(bars[7].style.bottom).toBe('75.0%');
+        expect(bars[7].style.height).toBe('25.0%');
+    });
+
+    // ─── Export ──────────────────────────────────
+
+    async function exportAs(element, format) {
+        let link;
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function captureLink() {
+            link = this;
+        });
+        element.shadowRoot.querySelector('.export-btn').click();
+        await flushPromises();
+        element.shadowRoot.querySelector(`.export-option[data-format="${format}"]`).click();
+        await flushPromises();
+        click.mockRestore();
+        const header = link.href.slice(0, link.href.indexOf(','));
+        return { fileName: link.download, header, content: decodeURIComponent(link.href.slice(header.length + 1)) };
+    }
+
+    it('offers CSV, JSON and calendar exports from the hero', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.export-dropdown')).toBeNull();
+        element.shadowRoot.querySelector('.export-btn').click();
+        await flushPromises();
+
+        const options = Array.from(element.shadowRoot.querySelectorAll('.export-option')).map((node) => node.textContent);
+        expect(options).toEqual(['Spreadsheet (CSV)', 'Data (JSON)', 'Calendar (.ics)']);
+        expect(element.shadowRoot.querySelector('.export-btn').getAttribute('aria-expanded')).toBe('true');
+
+        element.shadowRoot.querySelector('.export-menu').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.export-dropdown')).toBeNull();
+    });
+
+    it('exports hourly and daily CSV tables named after the location', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, hourly: MOCK_HOURLY.slice(0, 2) });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        const { fileName, header, content } = await exportAs(element, 'csv');
+        const lines = content.replace('\uFEFF', '').split('\r\n');
+
+        expect(fileName).toMatch(/^weather-san-francisco-us-\d{8}-\d{4}\.csv$/);
+        expect(header).toBe('data:text/csv;charset=utf-8');
+        expect(lines.slice(0, 3)).toEqual([
+            'Hour by Hour',
+            'Time,Temperature (°C),Feels like (°C),Precipitation chance (%),Humidity (%),Wind (m/s),Conditions',
+            '2024-02-25 09:00,10,8,0,60,2.5,partly cloudy'
+        ]);
+        expect(lines).toContain('Date,High (°C),Low (°C),Conditions,Precipitation (mm),Precipitation chance (%),Wind (m/s),Gusts (m/s),Humidity (%),UV Index,Sunrise,Sunset');
+        expect(lines).toContain('2024-02-25,16,13,overcast clouds,0.4,10,3.5,8.1,70,3.2,14:30,01:35');
+    });
+
+    it('exports CSV values in the selected units', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+        element.shadowRoot.querySelector('.settings-btn').click();
+        await flushPromises();
+        await pickUnit(element, 'temperature', 'F');
+        await pickUnit(element, 'wind', 'kmh');
+        await pickUnit(element, 'precipitation', 'in');
+
+        const { content } = await exportAs(element, 'csv');
+
+        expect(content).toContain('Date,High (°F),Low (°F),Conditions,Precipitation (in),Precipitation chance (%),Wind (km/h),Gusts (km/h)');
+        expect(content).toContain('2024-02-25,60.8,55.4,overcast clouds,0.02,10,13,29,70');
+    });
+
+    it('exports the normalized WeatherResult as JSON', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        const { fileName, content } = await exportAs(element, 'json');
+
+        expect(fileName).toMatch(/\.json$/);
+        expect(JSON.parse(content)).toEqual(MOCK_SUCCESS);
+    });
+
+    it('exports one all-day calendar event per forecast day', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        const { fileName, header, content } = await exportAs(element, 'ics');
+        const lines = content.split('\r\n');
+
+        expect(fileName).toMatch(/^weather-san-francisco-us-\d{8}-\d{4}\.ics$/);
+        expect(header).toBe('data:text/calendar;charset=utf-8');
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+        expect(lines).toContain('DTSTART;VALUE=DATE:20240225');
+        expect(lines).toContain('DTEND;VALUE=DATE:20240226');
+        expect(lines).toContain('SUMMARY:Overcast clouds\\, high 16°C\\, low 13°C');
+        expect(lines).toContain('LOCATION:San Francisco\\, US');
+        expect(lines).toContain('UID:weather-2024-02-25-37.77_-122.42');
+    });
+
+    it('folds calendar lines at 75 bytes without splitting characters', async () => {
+        const locationName = 'Ærøskøbing Ølstykke-Stenløse Søllerød Hørsholm Høje-Taastrup Brøndby Kommune';
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, locationName, country: 'DK' });
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        const { content } = await exportAs(element, 'ics');
+        const lines = content.split('\r\n');
+
+        lines.forEach((line) => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+        expect(lines.some((line) => line.startsWith(' '))).toBe(true);
+        expect(content.replace(/\r\n /g, '').split('\r\n')).toContain(`LOCATION:${locationName}\\, DK`);
+    });
+
+    // ─── Severe Weather Alerts ───────────────────
+
+    const STORMY_HEAT = {
+        ...MOCK_SUCCESS,
+        current: { ...MOCK_SUCCESS.current, temp: 35, humidity: 60, weatherCode: 95 }
+    };
+
+    it('shows a severity-colored alert banner, most severe first', async () => {
+        getForecast.mockResolvedValue(STORMY_HEAT);
+        const element = createComponent();
+
+        await searchAndWait(element, 'SF');
+
+        const items = element.shadowRoot.querySelectorAll('.alert-item');
+        expect(items.length).toBe(2);
+        expect(items[0].classList).toContain('alert-severe');
+        expect(items[0].querySelector('.alert-title').textContent).toBe('Heat');
+        expect(items[0].querySelector('.alert-message').textContent).toMatch(/^Heat index up to \d+°C now$/);
+        expect(items[1].classList).toContain('alert-warning');
+        expect(items[1].querySelector('.alert-message').textContent).toBe('Thunderstorms expected now');
+    });
+
+    it('hides a dismissed alert and keeps it hidden after a refresh', async () => {
+        getForecast.mockResolvedValue(STORMY_HEAT);
+        getForecastForPlace.mockResolvedValue(STORMY_HEAT);
+        const element = createComponent();
+        await searchAndWait(element, 'SF');
+
+        element.shadowRoot.querySelector('.alert-dismiss').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelectorAll('.alert-item').length).toBe(1);
+
+        element.shadowRoot.querySelector('.refresh-btn').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getForecastForPlace).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelectorAll('.alert-item').length).toBe(1);
+    });
+
+    it('dispatches weatheralert only when the active alerts change', async () => {
+        getForecast.mockResolvedValue(STORMY_HEAT);
+        getForecastForPlace.mockResolvedValue(STORMY_HEAT);
+        const element = createComponent();
+        const handler = jest.fn();
+        element.addEventListener('weatheralert', handler);
+
+        await searchAndWait(element, 'SF');
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        const detail = handler.mock.calls[0][0].detail;
+        expect(detail.locationName).toBe('San Francisco');
+        expect(detail.alerts.map((alert) => alert.type)).toEqual(['heat', 'thunderstorm']);
+        expect(detail.alerts[1].message).toBe('Thunderstorms expected now');
+
+        element.shadowRoot.querySelector('.refresh-btn').click();
+        await flushPromises();
+        await flushPromises();
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('applies configured thresholds', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ alertPrecipChance: 10, alertFreezingTemp: 13 });
+
+        await searchAndWait(element, 'SF');
+
+        const messages = Array.from(element.shadowRoot.querySelectorAll('.alert-message')).map((el) => el.textContent);
+        expect(messages).toEqual([
+            'Temperatures down to 13°C on Sunday',
+            '10% chance of precipitation on Sunday'
+        ]);
+    });
+
+    it('does not alert when alerts are disabled', async () => {
+        getForecast.mockResolvedValue(STORMY_HEAT);
+        const element = createComponent({ disableAlerts: true });
+        const handler = jest.fn();
+        element.addEventListener('weatheralert', handler);
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.shadowRoot.querySelector('.alert-banner')).toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    // ─── Message Channel ─────────────────────────
+
+    function channelHandler() {
+        return subscribe.mock.calls[0][2];
+    }
+
+    it('subscribes to the weather channel in application scope and unsubscribes on removal', () => {
+        subscribe.mockReturnValue({ id: 'sub-1' });
+        const element = createComponent();
+
+        expect(subscribe).toHaveBeenCalledWith(undefined, WEATHER_CHANNEL, expect.any(Function), { scope: APPLICATION_SCOPE });
+
+        document.body.removeChild(element);
+        expect(unsubscribe).toHaveBeenCalledWith({ id: 'sub-1' });
+    });
+
+    it('searches a location sent on the channel', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+
+        channelHandler()({ type: 'setLocation', query: 'San Francisco' });
+        await flushPromises();
+
+        expect(getForecast).toHaveBeenCalledWith({ location: 'San Francisco', forecastDays: 7 });
+        expect(element.shadowRoot.querySelector('.location-name').textContent).toBe('San Francisco, US');
+    });
+
+    it('forecasts coordinates sent on the channel in preference to a query', async () => {
+        getForecastByCoordinates.mockResolvedValue(MOCK_SUCCESS);
+        createComponent();
+
+        channelHandler()({ type: 'setLocation', query: 'Ignored', lat: '37.77', lon: -122.42 });
+        await flushPromises();
+
+        expect(getForecastByCoordinates).toHaveBeenCalledWith({ lat: 37.77, lon: -122.42, forecastDays: 7 });
+        expect(getForecast).not.toHaveBeenCalled();
+    });
+
+    it('ignores weather summaries published on the channel', async () => {
+        createComponent();
+
+        channelHandler()({ type: 'weatherSummary', locationName: 'Elsewhere', lat: 1, lon: 2 });
+        await flushPromises();
+
+        expect(getForecast).not.toHaveBeenCalled();
+        expect(getForecastByCoordinates).not.toHaveBeenCalled();
+    });
+
+    it('publishes a compact weather summary after a successful load', async () => {
+        getForecast.mockResolvedValue({ ...MOCK_SUCCESS, current: { ...MOCK_SUCCESS.current, weatherCode: 2 } });
+        const element = createComponent({ defaultUnitSystem: 'Imperial' });
+
+        await searchAndWait(element, 'SF');
+
+        expect(publish).toHaveBeenCalledTimes(1);
+        expect(publish).toHaveBeenCalledWith(undefined, WEATHER_CHANNEL, {
+            type: 'weatherSummary',
+            locationName: 'San Francisco',
+            country: 'US',
+            lat: 37.77,
+            lon: -122.42,
+            temp: 15.2,
+            weatherCode: 2,
+            tempHigh: 16.0,
+            tempLow: 13.0,
+            pop: 10
+        });
+    });
+
+    it('does not publish when the forecast fails', async () => {
+        getForecast.mockResolvedValue(MOCK_ERROR);
+        const element = createComponent();
+
+        await searchAndWait(element, 'Nowhere');
+
+        expect(publish).not.toHaveBeenCalled();
+    });
+
+    // ─── Flow Screen ─────────────────────────────
+
+    it('blocks Flow navigation until a forecast has loaded', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ availableActions: ['NEXT'] });
+
+        expect(element.validate()).toEqual({ isValid: false, errorMessage: expect.stringContaining('wait for the forecast') });
+        expect(element.shadowRoot.querySelector('.flow-next-btn').disabled).toBe(true);
+
+        await searchAndWait(element, 'SF');
+
+        expect(element.validate()).toEqual({ isValid: true });
+        expect(element.shadowRoot.querySelector('.flow-next-btn').disabled).toBe(false);
+    });
+
+    it('sends the forecast to Flow output variables after loading', async () => {
+        getForecast.mockResolvedValue({
+            ...MOCK_SUCCESS,
+            current: { ...MOCK_SUCCESS.current, weatherCode: 3 },
+            daily: [{ ...MOCK_SUCCESS.daily[0], pop: 65 }]
+        });
+        const element = createComponent({ availableActions: ['NEXT', 'BACK'] });
+        const outputs = {};
+        element.addEventListener('flowattributechange', (event) => {
+            outputs[event.detail.attributeName] = event.detail.attributeValue;
+        });
+
+        await searchAndWait(element, 'SF');
+
+        expect(outputs).toEqual({
+            currentTemperature: 15,
+            conditions: 'Clouds',
+            weatherCode: 3,
+            precipitationProbability: 65
+        });
+    });
+
+    it('navigates to the next screen or finishes the Flow', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent({ availableActions: ['FINISH'] });
+        const finish = jest.fn();
+        element.addEventListener('flownavigationfinish', finish);
+
+        await searchAndWait(element, 'SF');
+        const button = element.shadowRoot.querySelector('.flow-next-btn');
+        expect(button.textContent).toBe('Finish');
+        button.click();
+
+        expect(finish).toHaveBeenCalledTimes(1);
+
+        element.availableActions = ['NEXT', 'FINISH'];
+        await flushPromises();
+        const next = jest.fn();
+        element.addEventListener('flownavigationnext', next);
+        element.shadowRoot.querySelector('.flow-next-btn').click();
+
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('stays out of Flow outside a Flow screen', async () => {
+        getForecast.mockResolvedValue(MOCK_SUCCESS);
+        const element = createComponent();
+        const handler = jest.fn();
+        element.addEventListener('flowattributechange', handler);
+
+        await searchAndWait(element, 'SF');
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.flow-footer')).toBeNull();
+    });
 });
@@ -0,0 +1,177 @@
+/**
+ * @description Jest tests for weatherForecast under a non-English Salesforce
+ * locale. Kept apart from the main suite because the i18n modules are mocked
+ * for the whole file.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { createElement } from 'lwc';
+import WeatherForecast from 'c/weatherForecast';
+import getForecast from '@salesforce/apex/WeatherController.getForecast';
+import getAirQuality from '@salesforce/apex/WeatherController.getAirQuality';
+import getHistory from '@salesforce/apex/WeatherController.getHistory';
+import { clearForecastCache } from '../forecastCache';
+
+jest.mock('@salesforce/i18n/locale', () => ({ default: 'de-DE' }), { virtual: true });
+jest.mock('@salesforce/i18n/lang', () => ({ default: 'de' }), { virtual: true });
+
+jest.mock(
+    '@salesforce/apex/WeatherController.getForecast',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getForecastByCoordinates',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.searchLocations',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getForecastForPlace',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getAirQuality',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WeatherController.getHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock('lightning/flowSupport', () => ({}), { virtual: true });
+
+const MOCK_SUCCESS = {
+    success: true,
+    locationName: 'Berlin',
+    country: 'DE',
+    lat: 52.52,
+    lon: 13.41,
+    timezone: 'Europe/Berlin',
+    current: {
+        temp: 4.2,
+        feelsLike: 1.5,
+        tempMin: 2.0,
+        tempMax: 6.1,
+        humidity: 81,
+        windSpeed: 4.5,
+        weatherCode: 61,
+        description: 'rain',
+        icon: '10d',
+        main: 'Rain',
+        pressure: 1009,
+        visibility: 8500
+    },
+    daily: [
+        {
+            timeUnix: 1708815600,
+            dayName: 'Sun',
+            dateStr: 'Feb 25',
+            tempHigh: 6.0,
+            tempLow: 2.0,
+            weatherCode: 61,
+            description: 'rain',
+            icon: '10d',
+            main: 'Rain',
+            precipitationSum: 3.25,
+            pop: 70
+        },
+        {
+            timeUnix: 1708902000,
+            dayName: 'Mon',
+            dateStr: 'Feb 26',
+            tempHigh: 8.0,
+            tempLow: 3.0,
+            weatherCode: 0,
+            description: 'clear sky',
+            icon: '01d',
+            main: 'Clear',
+            precipitationSum: 0,
+            pop: 0
+        }
+    ]
+};
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function createLoadedComponent(overrides = {}) {
+    getForecast.mockResolvedValue({ ...JSON.parse(JSON.stringify(MOCK_SUCCESS)), ...overrides });
+    const element = createElement('c-weather-forecast', { is: WeatherForecast });
+    Object.assign(element, { defaultLocation: 'Berlin', defaultUnitSystem: 'Metric' });
+    document.body.appendChild(element);
+    await flushPromises();
+    await flushPromises();
+    return element;
+}
+
+function chipValue(element, label) {
+    const chip = Array.from(element.shadowRoot.querySelectorAll('.chip'))
+        .find((node) => node.querySelector('.chip-label').textContent === label);
+    return chip.querySelector('.chip-value').textContent;
+}
+
+beforeEach(() => {
+    getAirQuality.mockResolvedValue({ success: false });
+    getHistory.mockResolvedValue({ success: false });
+});
+
+afterEach(() => {
+    while (document.body.firstChild) {
+        document.body.removeChild(document.body.firstChild);
+    }
+    localStorage.clear();
+    clearForecastCache();
+    jest.clearAllMocks();
+});
+
+describe('c-weather-forecast (de-DE)', () => {
+    it('describes the weather in the user language from the weather code', async () => {
+        const element = await createLoadedComponent();
+
+        expect(element.shadowRoot.querySelector('.hero-description').textContent).toBe('Leichter Regen');
+        const groups = Array.from(element.shadowRoot.querySelectorAll('.fc-desc')).map((node) => node.textContent);
+        expect(groups).toEqual(['Regen', 'Klar']);
+    });
+
+    it('uses locale decimal separators for wind, visibility and coordinates', async () => {
+        const element = await createLoadedComponent();
+
+        expect(chipValue(element, 'Wind')).toBe('4,5 m/s');
+        expect(chipValue(element, 'Visibility')).toBe('8,5 km');
+        expect(element.shadowRoot.querySelector('.location-coords').textContent).toBe('52,52°N, 13,41°E');
+    });
+
+    it('formats day names and dates in the user locale', async () => {
+        const element = await createLoadedComponent();
+        const format = (options) => new Intl.DateTimeFormat('de-DE', { ...options, timeZone: 'Europe/Berlin' })
+            .format(new Date(MOCK_SUCCESS.daily[0].timeUnix * 1000));
+
+        expect(element.shadowRoot.querySelector('.fc-day').textContent).toBe(format({ weekday: 'short' }));
+        expect(element.shadowRoot.querySelector('.fc-date').textContent).toBe(format({ month: 'short', day: 'numeric' }));
+    });
+
+    it('formats the selected day precipitation with the locale separator', async () => {
+        const element = await createLoadedComponent();
+
+        element.shadowRoot.querySelector('.forecast-card').click();
+        await flushPromises();
+
+        expect(chipValue(element, 'Precipitation')).toBe('3,3 mm');
+    });
+
+    it('names the country a postal code was found in, in the user language', async () => {
+        const element = await createLoadedComponent({ postalCode: '10115' });
+
+        expect(element.shadowRoot.querySelector('.location-postal').textContent).toBe('Postal code 10115 in Deutschland');
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * @description Activity profiles and the search for time windows that suit them.
+ * An hour qualifies when its temperature, wind and chance of precipitation are
+ * inside the profile's limits, and when it is daylight if the profile asks for
+ * it. Runs of qualifying hours at least minHours long become windows, ranked by
+ * how comfortably their hours clear the limits, so longer and calmer windows
+ * come first. Days past the end of the hourly forecast are judged from their
+ * daily summary as a whole: the day's range has to fit the profile, and the
+ * window runs sunrise to sunset (or the whole day). Limits are metric (°C, m/s,
+ * %), like WeatherResult.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS } from './labels';
+
+export const CUSTOM_PROFILE_ID = 'custom';
+export const MAX_WINDOWS = 5;
+const HOUR_SECONDS = 3600;
+const DAY_SECONDS = 86400;
+// A day known only from its daily summary is less certain, so its hours count for half
+const DAILY_WEIGHT = 0.5;
+const MAX_MIN_HOURS = 24;
+
+export const ACTIVITY_PROFILES = [
+    { id: 'roofing', label: LABELS.activityRoofing, minTemp: 5, maxTemp: 35, maxWind: 9, maxPop: 20, daylightOnly: true, minHours: 3 },
+    { id: 'painting', label: LABELS.activityPainting, minTemp: 10, maxTemp: 32, maxWind: 7, maxPop: 10, daylightOnly: true, minHours: 4 },
+    { id: 'concrete', label: LABELS.activityConcrete, minTemp: 5, maxTemp: 30, maxWind: 11, maxPop: 10, daylightOnly: true, minHours: 6 },
+    { id: CUSTOM_PROFILE_ID, label: LABELS.activityCustom, minTemp: 10, maxTemp: 30, maxWind: 10, maxPop: 30, daylightOnly: false, minHours: 2 }
+];
+
+function isNumber(value) {
+    return value !== null && value !== undefined && !Number.isNaN(Number(value));
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Fills in and sanitizes a custom profile saved by the user, starting from the
+ * built-in custom defaults.
+ */
+export function normalizeCustomProfile(stored) {
+    const defaults = ACTIVITY_PROFILES.find((profile) => profile.id === CUSTOM_PROFILE_ID);
+    const profile = { ...defaults };
+    if (!stored) return profile;
+    ['minTemp', 'maxTemp', 'maxWind', 'maxPop'].forEach((field) => {
+        if (isNumber(stored[field])) {
+            profile[field] = Number(stored[field]);
+        }
+    });
+    if (isNumber(stored.minHours)) {
+        profile.minHours = clamp(Math.round(stored.minHours), 1, MAX_MIN_HOURS);
+    }
+    if (typeof stored.daylightOnly === 'boolean') {
+        profile.daylightOnly = stored.daylightOnly;
+    }
+    profile.maxPop = clamp(profile.maxPop, 0, 100);
+    profile.maxWind = Math.max(0, profile.maxWind);
+    if (profile.minTemp > profile.maxTemp) {
+        [profile.minTemp, profile.maxTemp] = [profile.maxTemp, profile.minTemp];
+    }
+    return profile;
+}
+
+// Older cached results have no hourly isDay; fall back to the day's sunrise and sunset
+function isDaylight(hour, daily) {
+    if (typeof hour.isDay === 'boolean') return hour.isDay;
+    return (daily || []).some((day) => day.sunrise && day.sunset
+        && hour.timeUnix >= day.sunrise && hour.timeUnix < day.sunset);
+}
+
+function headroom(value, limit) {
+    return limit > 0 ? Math.max(0, 1 - value / limit) : 1;
+}
+
+function conditionsScore(temp, wind, pop, profile) {
+    const halfRange = (profile.maxTemp - profile.minTemp) / 2;
+    const tempScore = halfRange > 0 ? Math.min(temp - profile.minTemp, profile.maxTemp - temp) / halfRange : 1;
+    return (tempScore + headroom(wind, profile.maxWind) + headroom(pop, profile.maxPop)) / 3;
+}
+
+/**
+ * @returns {Number|null} null when the hour doesn't fit the profile, otherwise
+ *   0–1 for how far it stays from the limits
+ */
+function scoreHour(hour, profile, daily) {
+    if (!isNumber(hour.temp) || !isNumber(hour.windSpeed) || !isNumber(hour.pop)) return null;
+    const temp = Number(hour.temp);
+    const wind = Number(hour.windSpeed);
+    const pop = Number(hour.pop);
+    if (temp < profile.minTemp || temp > profile.maxTemp || wind > profile.maxWind || pop > profile.maxPop) return null;
+    if (profile.daylightOnly && !isDaylight(hour, daily)) return null;
+    return conditionsScore(temp, wind, pop, profile);
+}
+
+/**
+ * @returns {Object|null} a window covering the day's daylight (or the whole day),
+ *   or null when the day's high, low, wind or precipitation chance is out of the
+ *   profile's limits or the window would be too short
+ */
+function dailyWindow(day, profile) {
+    if (![day.tempHigh, day.tempLow, day.windSpeed, day.pop].every(isNumber)) return null;
+    const high = Number(day.tempHigh);
+    const low = Number(day.tempLow);
+    const wind = Number(day.windSpeed);
+    const pop = Number(day.pop);
+    if (low < profile.minTemp || high > profile.maxTemp || wind > profile.maxWind || pop > profile.maxPop) return null;
+
+    let start = day.timeUnix;
+    let end = day.timeUnix + DAY_SECONDS;
+    if (profile.daylightOnly) {
+        if (!day.sunrise || !day.sunset) return null;
+        start = day.sunrise;
+        end = day.sunset;
+    }
+    const hours = Math.floor((end - start) / HOUR_SECONDS);
+    if (hours < profile.minHours) return null;
+
+    return {
+        start,
+        end,
+        hours,
+        score: conditionsScore((high + low) / 2, wind, pop, profile) * hours * DAILY_WEIGHT,
+        tempMin: low,
+        tempMax: high,
+        windMax: wind,
+        popMax: pop,
+        fromDaily: true
+    };
+}
+
+function toWindow(run) {
+    const temps = run.map((entry) => Number(entry.hour.temp));
+    return {
+        start: run[0].hour.timeUnix,
+        end: run[run.length - 1].hour.timeUnix + HOUR_SECONDS,
+        hours: run.length,
+        score: run.reduce((sum, entry) => sum + entry.score, 0),
+        tempMin: Math.min(...temps),
+        tempMax: Math.max(...temps),
+        windMax: Math.max(...run.map((entry) => Number(entry.hour.windSpeed))),
+        popMax: Math.max(...run.map((entry) => Number(entry.hour.pop))),
+        fromDaily: false
+    };
+}
+
+/**
+ * @param {Array} hourly WeatherResult.hourly
+ * @param {Array} daily WeatherResult.daily, for sunrise and sunset and for the days
+ *   after the last hour
+ * @param {Object} profile one of ACTIVITY_PROFILES or a normalized custom profile
+ * @param {Number} nowSeconds hours that have already ended are skipped
+ * @returns {Array} up to MAX_WINDOWS of { start, end, hours, score, tempMin, tempMax,
+ *   windMax, popMax, fromDaily }, best first
+ */
+export function findActivityWindows(hourly, daily, profile, nowSeconds) {
+    const windows = [];
+    let run = [];
+    const closeRun = () => {
+        if (run.length >= profile.minHours) {
+            windows.push(toWindow(run));
+        }
+        run = [];
+    };
+
+    (hourly || [])
+        .filter((hour) => hour.timeUnix + HOUR_SECONDS > nowSeconds)
+        .forEach((hour) => {
+            const score = scoreHour(hour, profile, daily);
+            const previous = run[run.length - 1];
+            if (score === null || (previous && hour.timeUnix - previous.hour.timeUnix !== HOUR_SECONDS)) {
+                closeRun();
+            }
+            if (score !== null) {
+                run.push({ hour, score });
+            }
+        });
+    closeRun();
+
+    const hourlyEnd = (hourly || []).reduce((end, hour) => Math.max(end, hour.timeUnix + HOUR_SECONDS), nowSeconds);
+    (daily || [])
+        .filter((day) => day.timeUnix >= hourlyEnd)
+        .forEach((day) => {
+            const dayWindow = dailyWindow(day, profile);
+            if (dayWindow) {
+                windows.push(dayWindow);
+            }
+        });
+
+    return windows
+        .sort((a, b) => b.score - a.score || a.start - b.start)
+        .slice(0, MAX_WINDOWS);
+}
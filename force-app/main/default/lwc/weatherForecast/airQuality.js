@@ -0,0 +1,70 @@
+/**
+ * @description Category scales for the air quality and UV panel. Each scale
+ * maps a reading to a label, health guidance and a level from 1 (good) to 6
+ * (hazardous) that picks the category color, so the US AQI, the European AQI
+ * and the UV index share one palette.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS } from './labels';
+
+// Upper bounds are inclusive; the last band has none
+const US_AQI_SCALE = [
+    { max: 50, label: LABELS.aqiGood, guidance: LABELS.aqiGuidanceGood },
+    { max: 100, label: LABELS.aqiModerate, guidance: LABELS.aqiGuidanceModerate },
+    { max: 150, label: LABELS.aqiSensitive, guidance: LABELS.aqiGuidanceSensitive },
+    { max: 200, label: LABELS.aqiUnhealthy, guidance: LABELS.aqiGuidanceUnhealthy },
+    { max: 300, label: LABELS.aqiVeryUnhealthy, guidance: LABELS.aqiGuidanceVeryUnhealthy },
+    { max: Infinity, label: LABELS.aqiHazardous, guidance: LABELS.aqiGuidanceHazardous }
+];
+
+// European Environment Agency bands, with the nearest US guidance
+const EUROPEAN_AQI_SCALE = [
+    { max: 20, label: LABELS.aqiGood, guidance: LABELS.aqiGuidanceGood },
+    { max: 40, label: LABELS.aqiFair, guidance: LABELS.aqiGuidanceModerate },
+    { max: 60, label: LABELS.aqiModerate, guidance: LABELS.aqiGuidanceSensitive },
+    { max: 80, label: LABELS.aqiPoor, guidance: LABELS.aqiGuidanceUnhealthy },
+    { max: 100, label: LABELS.aqiVeryPoor, guidance: LABELS.aqiGuidanceVeryUnhealthy },
+    { max: Infinity, label: LABELS.aqiExtremelyPoor, guidance: LABELS.aqiGuidanceHazardous }
+];
+
+// WHO UV index bands, applied to the rounded index
+const UV_SCALE = [
+    { max: 2, label: LABELS.uvLow, guidance: LABELS.uvGuidanceLow },
+    { max: 5, label: LABELS.uvModerate, guidance: LABELS.uvGuidanceModerate },
+    { max: 7, label: LABELS.uvHigh, guidance: LABELS.uvGuidanceHigh },
+    { max: 10, label: LABELS.uvVeryHigh, guidance: LABELS.uvGuidanceVeryHigh },
+    { max: Infinity, label: LABELS.uvExtreme, guidance: LABELS.uvGuidanceExtreme }
+];
+
+function classify(scale, value) {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+    const index = scale.findIndex((band) => Number(value) <= band.max);
+    const band = scale[index];
+    return { level: index + 1, label: band.label, guidance: band.guidance };
+}
+
+/**
+ * @param {Number} value US AQI (0–500)
+ * @returns {Object|null} { level, label, guidance }
+ */
+export function usAqiCategory(value) {
+    return classify(US_AQI_SCALE, value);
+}
+
+/**
+ * @param {Number} value European AQI (0–100+)
+ * @returns {Object|null} { level, label, guidance }
+ */
+export function europeanAqiCategory(value) {
+    return classify(EUROPEAN_AQI_SCALE, value);
+}
+
+/**
+ * @param {Number} value UV index
+ * @returns {Object|null} { level, label, guidance }
+ */
+export function uvIndexCategory(value) {
+    return classify(UV_SCALE, value === null || value === undefined ? value : Math.round(value));
+}
@@ -0,0 +1,273 @@
+/**
+ * @description Sun and moon for a forecast day, computed in the browser from the
+ * date and coordinates: twilight and golden-hour times, day length, moon phase
+ * and moonrise/moonset, plus the geometry for the daylight arc. The formulas are
+ * the low-precision ones from Astronomy Answers (aa.quae.nl), as used by SunCalc,
+ * and are good to a minute or two away from the poles. All times are unix
+ * seconds; formatting them in the location's zone is left to the component.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS } from './labels';
+
+const RAD = Math.PI / 180;
+const SECONDS_PER_DAY = 86400;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+// Altitudes of the sun's centre, in degrees, at each event
+const SUNRISE_ALTITUDE = -0.833;
+const CIVIL_ALTITUDE = -6;
+const NAUTICAL_ALTITUDE = -12;
+const GOLDEN_HOUR_ALTITUDE = 6;
+const MOON_HORIZON = 0.133 * RAD;
+const SUN_DISTANCE_KM = 149598000;
+// Days from a Julian cycle's start to solar transit at longitude 0
+const J0 = 0.0009;
+
+// Arc geometry in SVG user units: a half circle standing on the horizon
+export const ARC_CENTER_X = 100;
+export const ARC_HORIZON_Y = 100;
+export const ARC_RADIUS = 85;
+
+const MOON_PHASES = [
+    { name: LABELS.moonNew, icon: '🌑' },
+    { name: LABELS.moonWaxingCrescent, icon: '🌒' },
+    { name: LABELS.moonFirstQuarter, icon: '🌓' },
+    { name: LABELS.moonWaxingGibbous, icon: '🌔' },
+    { name: LABELS.moonFull, icon: '🌕' },
+    { name: LABELS.moonWaningGibbous, icon: '🌖' },
+    { name: LABELS.moonLastQuarter, icon: '🌗' },
+    { name: LABELS.moonWaningCrescent, icon: '🌘' }
+];
+
+// ─── Coordinates ───────────────────────────────────
+
+function toDays(timeUnix) {
+    return timeUnix / SECONDS_PER_DAY - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julian) {
+    return Math.round((julian + 0.5 - J1970) * SECONDS_PER_DAY);
+}
+
+function rightAscension(longitude, latitude) {
+    return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+}
+
+function declination(longitude, latitude) {
+    return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function altitude(hourAngle, phi, dec) {
+    return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+}
+
+// Atmospheric refraction lifts objects near the horizon by about half a degree
+function refraction(height) {
+    const h = Math.max(0, height);
+    return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
+
+function siderealTime(days, lw) {
+    return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function solarMeanAnomaly(days) {
+    return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(meanAnomaly) {
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    return meanAnomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords(days) {
+    const longitude = eclipticLongitude(solarMeanAnomaly(days));
+    return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+}
+
+function moonCoords(days) {
+    const meanLongitude = RAD * (218.316 + 13.176396 * days);
+    const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+    const argumentOfLatitude = RAD * (93.272 + 13.22935 * days);
+    const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+    const latitude = RAD * 5.128 * Math.sin(argumentOfLatitude);
+    return {
+        ra: rightAscension(longitude, latitude),
+        dec: declination(longitude, latitude),
+        distance: 385001 - 20905 * Math.cos(meanAnomaly)
+    };
+}
+
+// ─── Sun ───────────────────────────────────────────
+
+function approxTransit(hourAngle, lw, cycle) {
+    return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+}
+
+function solarTransitJ(days, meanAnomaly, longitude) {
+    return J2000 + days + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+}
+
+/**
+ * Sun events for the day around middayUnix. An event the sun never reaches that
+ * day (polar day or night, or twilight that lasts all night) is null.
+ *
+ * @param {Number} middayUnix any time near the middle of the local day
+ * @returns {Object} { solarNoon, sunrise, sunset, civilDawn, civilDusk, nauticalDawn,
+ *   nauticalDusk, goldenMorningEnd, goldenEveningStart, dayLength } where dayLength
+ *   is in seconds, 0 or SECONDS_PER_DAY when the sun never rises or never sets
+ */
+export function sunTimes(middayUnix, lat, lon) {
+    const lw = -RAD * lon;
+    const phi = RAD * lat;
+    const cycle = Math.round(toDays(middayUnix) - J0 - lw / (2 * Math.PI));
+    const transit = approxTransit(0, lw, cycle);
+    const meanAnomaly = solarMeanAnomaly(transit);
+    const longitude = eclipticLongitude(meanAnomaly);
+    const dec = declination(longitude, 0);
+    const noon = solarTransitJ(transit, meanAnomaly, longitude);
+
+    // [rise, set], or a cosine outside -1..1 when the sun never crosses the altitude
+    const crossing = (degrees) => {
+        const cosine = (Math.sin(degrees * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosine < -1 || cosine > 1) return { cosine, rise: null, set: null };
+        const set = solarTransitJ(approxTransit(Math.acos(cosine), lw, cycle), meanAnomaly, longitude);
+        return { cosine, rise: fromJulian(noon - (set - noon)), set: fromJulian(set) };
+    };
+
+    const sun = crossing(SUNRISE_ALTITUDE);
+    const civil = crossing(CIVIL_ALTITUDE);
+    const nautical = crossing(NAUTICAL_ALTITUDE);
+    const golden = crossing(GOLDEN_HOUR_ALTITUDE);
+    let dayLength;
+    if (sun.rise !== null) {
+        dayLength = sun.set - sun.rise;
+    } else {
+        dayLength = sun.cosine < -1 ? SECONDS_PER_DAY : 0;
+    }
+
+    return {
+        solarNoon: fromJulian(noon),
+        sunrise: sun.rise,
+        sunset: sun.set,
+        civilDawn: civil.rise,
+        civilDusk: civil.set,
+        nauticalDawn: nautical.rise,
+        nauticalDusk: nautical.set,
+        goldenMorningEnd: golden.rise,
+        goldenEveningStart: golden.set,
+        dayLength
+    };
+}
+
+// ─── Moon ──────────────────────────────────────────
+
+function moonAltitude(timeUnix, lat, lon) {
+    const lw = -RAD * lon;
+    const days = toDays(timeUnix);
+    const coords = moonCoords(days);
+    const height = altitude(siderealTime(days, lw) - coords.ra, RAD * lat, coords.dec);
+    return height + refraction(height);
+}
+
+/**
+ * @returns {Object} { fraction, phase, name, icon } where fraction is the lit part
+ *   of the disc (0–1) and phase runs 0 (new) → 0.5 (full) → 1 (new again)
+ */
+export function moonPhase(timeUnix) {
+    const days = toDays(timeUnix);
+    const sun = sunCoords(days);
+    const moon = moonCoords(days);
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec)
+        + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const inclination = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+    const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const phase = 0.5 + (0.5 * inclination * (angle < 0 ? -1 : 1)) / Math.PI;
+    const named = MOON_PHASES[Math.round(phase * MOON_PHASES.length) % MOON_PHASES.length];
+    return { fraction: (1 + Math.cos(inclination)) / 2, phase, ...named };
+}
+
+/**
+ * Finds moonrise and moonset by fitting a parabola to the moon's altitude over
+ * each two-hour step of the day.
+ *
+ * @param {Number} dayStart local midnight starting the day
+ * @returns {Object} { rise, set, alwaysUp, alwaysDown }; rise or set is null when
+ *   it doesn't happen within the 24 hours
+ */
+export function moonTimes(dayStart, lat, lon) {
+    const altitudeAt = (hours) => moonAltitude(dayStart + hours * 3600, lat, lon) - MOON_HORIZON;
+    let h0 = altitudeAt(0);
+    let rise = null;
+    let set = null;
+    let vertex = 0;
+
+    for (let hour = 1; hour <= 24 && (rise === null || set === null); hour += 2) {
+        const h1 = altitudeAt(hour);
+        const h2 = altitudeAt(hour + 1);
+        const a = (h0 + h2) / 2 - h1;
+        const b = (h2 - h0) / 2;
+        const xe = -b / (2 * a);
+        vertex = (a * xe + b) * xe + h1;
+        const discriminant = b * b - 4 * a * h1;
+
+        if (discriminant >= 0) {
+            const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+            let x1 = xe - dx;
+            const x2 = xe + dx;
+            const roots = (Math.abs(x1) <= 1 ? 1 : 0) + (Math.abs(x2) <= 1 ? 1 : 0);
+            if (x1 < -1) x1 = x2;
+
+            if (roots === 1) {
+                if (h0 < 0 && rise === null) rise = hour + x1;
+                else if (h0 >= 0 && set === null) set = hour + x1;
+            } else if (roots === 2) {
+                if (rise === null) rise = hour + (vertex < 0 ? x2 : x1);
+                if (set === null) set = hour + (vertex < 0 ? x1 : x2);
+            }
+        }
+        h0 = h2;
+    }
+
+    const toUnix = (hours) => (hours === null ? null : Math.round(dayStart + hours * 3600));
+    const neither = rise === null && set === null;
+    return {
+        rise: toUnix(rise),
+        set: toUnix(set),
+        alwaysUp: neither && vertex > 0,
+        alwaysDown: neither && vertex <= 0
+    };
+}
+
+// ─── Daylight Arc ──────────────────────────────────
+
+function pointOnArc(fraction) {
+    const angle = Math.PI * (1 - fraction);
+    return {
+        x: Math.round((ARC_CENTER_X + ARC_RADIUS * Math.cos(angle)) * 10) / 10,
+        y: Math.round((ARC_HORIZON_Y - ARC_RADIUS * Math.sin(angle)) * 10) / 10
+    };
+}
+
+/**
+ * @returns {String} SVG path along the arc from sunrise to the given fraction of daylight
+ */
+export function arcPath(fraction = 1) {
+    const end = pointOnArc(Math.min(1, Math.max(0, fraction)));
+    return `M ${ARC_CENTER_X - ARC_RADIUS} ${ARC_HORIZON_Y} A ${ARC_RADIUS} ${ARC_RADIUS} 0 0 1 ${end.x} ${end.y}`;
+}
+
+/**
+ * @returns {Object|null} { fraction, x, y } for the sun at nowSeconds, or null
+ *   when it is below the horizon
+ */
+export function sunPosition(sunrise, sunset, nowSeconds) {
+    if (!sunrise || !sunset || nowSeconds < sunrise || nowSeconds > sunset) return null;
+    const fraction = (nowSeconds - sunrise) / (sunset - sunrise);
+    return { fraction, ...pointOnArc(fraction) };
+}
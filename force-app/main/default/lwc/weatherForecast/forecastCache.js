@@ -0,0 +1,117 @@
+/**
+ * @description Forecast cache shared by every weatherForecast instance on the page.
+ * Results are stored once per rounded coordinate pair; search queries are
+ * aliases pointing at those entries, so "McKinney 75070" and a GPS fix on the
+ * same spot reuse one callout. Memory is the source of truth and sessionStorage
+ * lets the cache survive a page reload within the same tab.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+
+const STORAGE_KEY = 'weather_forecast_cache';
+const MAX_ENTRIES = 20;
+// Entries written before the forecast range was selectable hold 7 days
+const LEGACY_FORECAST_DAYS = 7;
+// Stored results keep the first week of hours; 16 days of them would crowd the storage quota
+const STORED_HOURLY_HOURS = 168;
+
+let memory = null;
+
+function load() {
+    if (memory) return memory;
+
+    memory = { aliases: {}, entries: {} };
+    try {
+        const stored = sessionStorage.getItem(STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            memory.aliases = parsed.aliases || {};
+            memory.entries = parsed.entries || {};
+        }
+    } catch (e) {
+        console.error('Error loading forecast cache', e);
+    }
+    return memory;
+}
+
+function persist() {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(memory));
+    } catch (e) {
+        // Quota errors only cost us the reload cache; memory still works
+        console.error('Error saving forecast cache', e);
+    }
+}
+
+function prune(cache) {
+    const ids = Object.keys(cache.entries);
+    if (ids.length > MAX_ENTRIES) {
+        ids.sort((a, b) => cache.entries[a].fetchedAt - cache.entries[b].fetchedAt)
+            .slice(0, ids.length - MAX_ENTRIES)
+            .forEach((id) => delete cache.entries[id]);
+    }
+    Object.keys(cache.aliases).forEach((alias) => {
+        if (!cache.entries[cache.aliases[alias]]) {
+            delete cache.aliases[alias];
+        }
+    });
+}
+
+/**
+ * Returns the WeatherResult to store: the same result, or a copy with its hourly
+ * data cut to the first STORED_HOURLY_HOURS.
+ */
+export function compactResult(result) {
+    if (!result.hourly || result.hourly.length <= STORED_HOURLY_HOURS) return result;
+    return { ...result, hourly: result.hourly.slice(0, STORED_HOURLY_HOURS) };
+}
+
+export function queryCacheKey(query) {
+    return 'q:' + String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+export function coordsCacheKey(lat, lon) {
+    return `c:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+}
+
+/**
+ * Returns { result, fetchedAt } for a query or coordinate key, or null when
+ * nothing is cached, the entry is older than maxAgeMs or it was fetched for
+ * a shorter range than minDays.
+ */
+export function readCache(key, maxAgeMs, minDays = 0) {
+    const cache = load();
+    const id = key.startsWith('q:') ? cache.aliases[key] : key;
+    const entry = id ? cache.entries[id] : null;
+    if (!entry || Date.now() - entry.fetchedAt > maxAgeMs) return null;
+    if ((entry.forecastDays || LEGACY_FORECAST_DAYS) < minDays) return null;
+    return entry;
+}
+
+/**
+ * Stores a successful WeatherResult under its coordinates plus any query aliases,
+ * along with the number of forecast days it was requested for. Hours past the
+ * first week are left out.
+ */
+export function writeCache(result, aliasKeys, forecastDays) {
+    if (!result || !result.success || result.lat === null || result.lat === undefined) return;
+
+    const cache = load();
+    const id = coordsCacheKey(result.lat, result.lon);
+    cache.entries[id] = { result: compactResult(result), fetchedAt: Date.now(), forecastDays };
+    (aliasKeys || []).filter((key) => key && key !== id).forEach((key) => {
+        cache.aliases[key] = id;
+    });
+    prune(cache);
+    persist();
+}
+
+export function clearForecastCache() {
+    memory = null;
+    try {
+        sessionStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        console.error('Error clearing forecast cache', e);
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * @description Builds export files from a WeatherResult on the client: CSV
+ * tables in the user's display units, the normalized result as JSON, and an
+ * iCalendar file with one all-day event per forecast day. Dates and times are
+ * written in the forecast location's time zone, like the rest of the component.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS, formatLabel } from './labels';
+import { describeWeather } from './wmoDescriptions';
+import {
+    UNIT_SYMBOLS,
+    UNIT_DECIMALS,
+    convertTemperature,
+    convertSpeed,
+    convertPrecipitation
+} from './units';
+
+const TEMPERATURE_DECIMALS = 1;
+const ICS_LINE_LIMIT = 75;
+// Lets Excel detect UTF-8, so °C and non-Latin place names survive the import
+const CSV_BOM = '\uFEFF';
+
+function isNumber(value) {
+    return value !== null && value !== undefined && !Number.isNaN(Number(value));
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Wall-clock date and time of a unix timestamp at the forecast location. Falls
+ * back to the fixed UTC offset when the browser doesn't know the IANA zone.
+ */
+function zonedParts(timestamp, result) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: result.timezone || 'UTC' })
+            .formatToParts(new Date(timestamp * 1000));
+    } catch {
+        const offset = result.utcOffsetSeconds || 0;
+        parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' })
+            .formatToParts(new Date((timestamp + offset) * 1000));
+    }
+    const values = {};
+    parts.forEach((part) => {
+        values[part.type] = part.value;
+    });
+    return values;
+}
+
+function localDate(timestamp, result) {
+    const { year, month, day } = zonedParts(timestamp, result);
+    return `${year}-${month}-${day}`;
+}
+
+function localTime(timestamp, result) {
+    const { hour, minute } = zonedParts(timestamp, result);
+    return `${hour}:${minute}`;
+}
+
+function round(value, decimals) {
+    return isNumber(value) ? Number(Number(value).toFixed(decimals)) : '';
+}
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+// ─── CSV ─────────────────────────────────────────
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return values.map(csvField).join(',');
+}
+
+/**
+ * @param {Object} result a successful WeatherResult
+ * @param {Object} units display units per quantity, see units.js
+ * @returns {String} an hourly table and a daily table, separated by a blank line
+ */
+export function buildCsv(result, units) {
+    const temp = (celsius) => round(isNumber(celsius) ? convertTemperature(Number(celsius), units.temperature) : null, TEMPERATURE_DECIMALS);
+    const speed = (ms) => round(isNumber(ms) ? convertSpeed(Number(ms), units.wind) : null, UNIT_DECIMALS[units.wind]);
+    const precip = (mm) => round(isNumber(mm) ? convertPrecipitation(Number(mm), units.precipitation) : null, UNIT_DECIMALS[units.precipitation]);
+    const tempUnit = UNIT_SYMBOLS[units.temperature];
+    const windUnit = UNIT_SYMBOLS[units.wind];
+    const precipUnit = UNIT_SYMBOLS[units.precipitation];
+
+    const lines = [
+        csvRow([LABELS.hourByHour]),
+        csvRow([
+            LABELS.time,
+            `${LABELS.temperature} (${tempUnit})`,
+            `${LABELS.feelsLikeLegend} (${tempUnit})`,
+            `${LABELS.precipChanceLegend} (%)`,
+            `${LABELS.humidity} (%)`,
+            `${LABELS.wind} (${windUnit})`,
+            LABELS.conditions
+        ])
+    ];
+    (result.hourly || []).forEach((hour) => {
+        lines.push(csvRow([
+            `${localDate(hour.timeUnix, result)} ${localTime(hour.timeUnix, result)}`,
+            temp(hour.temp),
+            temp(hour.feelsLike),
+            round(hour.pop, 0),
+            round(hour.humidity, 0),
+            speed(hour.windSpeed),
+            describeWeather(hour.weatherCode, hour.description)
+        ]));
+    });
+
+    lines.push('', csvRow([LABELS.dailyForecast]), csvRow([
+        LABELS.date,
+        `${LABELS.high} (${tempUnit})`,
+        `${LABELS.low} (${tempUnit})`,
+        LABELS.conditions,
+        `${LABELS.precipitation} (${precipUnit})`,
+        `${LABELS.precipChanceLegend} (%)`,
+        `${LABELS.wind} (${windUnit})`,
+        `${LABELS.gusts} (${windUnit})`,
+        `${LABELS.humidity} (%)`,
+        LABELS.uvIndex,
+        LABELS.sunrise,
+        LABELS.sunset
+    ]));
+    (result.daily || []).forEach((day) => {
+        lines.push(csvRow([
+            localDate(day.timeUnix, result),
+            temp(day.tempHigh),
+            temp(day.tempLow),
+            describeWeather(day.weatherCode, day.description),
+            precip(day.precipitationSum),
+            round(day.pop, 0),
+            speed(day.windSpeed),
+            speed(day.windGust),
+            round(day.humidity, 0),
+            round(day.uvIndexMax, 1),
+            day.sunrise ? localTime(day.sunrise, result) : '',
+            day.sunset ? localTime(day.sunset, result) : ''
+        ]));
+    });
+
+    return CSV_BOM + lines.join('\r\n') + '\r\n';
+}
+
+// ─── JSON ────────────────────────────────────────
+
+/**
+ * @param {Object} result the WeatherResult as Apex returned it (°C, m/s, hPa, m, mm)
+ * @returns {String}
+ */
+export function buildJson(result) {
+    return JSON.stringify(result, null, 2);
+}
+
+// ─── iCalendar ───────────────────────────────────
+
+function icsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets of UTF-8 continue on lines starting with
+// a space. Breaks fall between characters, never inside one
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = utf8Length(char);
+        if (octets + size > ICS_LINE_LIMIT) {
+            chunks.push(chunk);
+            chunk = ' ';
+            octets = 1;
+        }
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n');
+}
+
+function utcStamp(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T`
+        + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// The day after a YYYY-MM-DD date, as YYYYMMDD; DTEND of an all-day event is exclusive
+function nextDay(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    return `${next.getUTCFullYear()}${pad(next.getUTCMonth() + 1)}${pad(next.getUTCDate())}`;
+}
+
+/**
+ * @param {Object} result a successful WeatherResult
+ * @param {Object} options { locationName, units, generatedAt }
+ * @returns {String} a VCALENDAR with one all-day VEVENT per forecast day
+ */
+export function buildIcs(result, { locationName, units, generatedAt = new Date() }) {
+    const tempUnit = UNIT_SYMBOLS[units.temperature];
+    const temp = (celsius) => (isNumber(celsius)
+        ? `${Math.round(convertTemperature(Number(celsius), units.temperature))}${tempUnit}`
+        : '--');
+    const stamp = utcStamp(generatedAt);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Weather Forecast LWC//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(formatLabel(LABELS.exportCalendarName, locationName))}`
+    ];
+    (result.daily || []).forEach((day) => {
+        const date = localDate(day.timeUnix, result);
+        const conditions = capitalize(describeWeather(day.weatherCode, day.description));
+        const details = [locationName];
+        if (isNumber(day.pop)) {
+            details.push(formatLabel(LABELS.chartPointPop, Math.round(day.pop)));
+        }
+        lines.push(
+            'BEGIN:VEVENT',
+            // Stable per place and day, so re-importing updates events instead of duplicating them
+            `UID:weather-${date}-${result.lat}_${result.lon}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${nextDay(date)}`,
+            `SUMMARY:${icsText(formatLabel(LABELS.exportEventSummary, conditions, temp(day.tempHigh), temp(day.tempLow)))}`,
+            `LOCATION:${icsText(locationName)}`,
+            `DESCRIPTION:${icsText(details.join('\n'))}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ─── File names ──────────────────────────────────
+
+/**
+ * @param {String} locationName shown location, e.g. "San Francisco, US"
+ * @param {Date} timestamp when the forecast was fetched, in the user's time
+ * @param {String} extension csv, json or ics
+ * @returns {String} e.g. weather-san-francisco-us-20260224-1405.csv
+ */
+export function exportFileName(locationName, timestamp, extension) {
+    const slug = String(locationName || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'forecast';
+    const date = `${timestamp.getFullYear()}${pad(timestamp.getMonth() + 1)}${pad(timestamp.getDate())}`;
+    const time = `${pad(timestamp.getHours())}${pad(timestamp.getMinutes())}`;
+    return `weather-${slug}-${date}-${time}.${extension}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * @description Error codes reported in WeatherResult.errorCode and the retry
+ * policy for forecast callouts. Timeouts, rate limits and upstream HTTP errors
+ * usually clear up on their own, so they are retried with exponential backoff;
+ * a location that does not exist, a blank query or an unexpected server error
+ * is reported straight away.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+
+export const ERROR_CODES = {
+    NOT_FOUND: 'NOT_FOUND',
+    UPSTREAM_HTTP: 'UPSTREAM_HTTP',
+    TIMEOUT: 'TIMEOUT',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_INPUT: 'INVALID_INPUT',
+    UNEXPECTED: 'UNEXPECTED'
+};
+
+const TRANSIENT_CODES = [ERROR_CODES.UPSTREAM_HTTP, ERROR_CODES.TIMEOUT, ERROR_CODES.RATE_LIMITED];
+
+export const MAX_RETRIES = 2;
+// Doubles after each attempt: 1 s, then 2 s
+export const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * @param {String} errorCode a WeatherResult.errorCode
+ * @returns {Boolean} whether trying again later may succeed
+ */
+export function isTransientError(errorCode) {
+    return TRANSIENT_CODES.includes(errorCode);
+}
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Calls fetchForecast until it succeeds, fails with a code that is not
+ * transient, or runs out of retries. Stops as soon as isCurrent() turns false
+ * so a superseded request does not keep calling Apex.
+ * @param {Function} fetchForecast returns a Promise of a WeatherResult
+ * @param {Function} isCurrent whether the caller still wants the result
+ * @returns {Promise} the last WeatherResult; rejected Apex calls pass through
+ */
+export function fetchWithRetry(fetchForecast, isCurrent, attempt = 0) {
+    return fetchForecast().then((result) => {
+        if (result.success || !isTransientError(result.errorCode) || attempt >= MAX_RETRIES || !isCurrent()) {
+            return result;
+        }
+        return delay(RETRY_BASE_DELAY_MS * 2 ** attempt)
+            .then(() => (isCurrent() ? fetchWithRetry(fetchForecast, isCurrent, attempt + 1) : result));
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * @description Geometry for the hourly temperature/precipitation SVG chart.
+ * Pure function of the hourly rows so the component only has to bind the
+ * result in its template; unit conversion and labels are passed in so the
+ * chart follows the °C/°F toggle and the 12/24-hour setting.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS, formatLabel } from './labels';
+
+const WIDTH = 720;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 12, bottom: 28, left: 36 };
+const Y_TICK_COUNT = 4;
+const BAR_WIDTH_RATIO = 0.6;
+
+function isNumber(value) {
+    return value !== null && value !== undefined && !Number.isNaN(Number(value));
+}
+
+// Builds an SVG path, starting a new segment after any missing value
+function toPath(points) {
+    let path = '';
+    let penDown = false;
+    points.forEach((point) => {
+        if (!point) {
+            penDown = false;
+            return;
+        }
+        path += `${penDown ? 'L' : 'M'}${point.x.toFixed(1)} ${point.y.toFixed(1)} `;
+        penDown = true;
+    });
+    return path.trim();
+}
+
+/**
+ * @param {Array} hours hourly rows ({ timeUnix, temp, feelsLike, pop }) with temps in °C
+ * @param {Object} options
+ * @param {Function} options.convertTemp °C -> display unit, unrounded
+ * @param {Function} options.labelHour unix seconds -> axis/tooltip label
+ * @param {Number} [options.labelEvery=6] hours between x-axis labels
+ * @returns {Object|null} chart geometry, or null when there is too little data
+ */
+export function buildHourlyChart(hours, { convertTemp, labelHour, labelEvery = 6 }) {
+    const rows = (hours || []).filter((hour) => isNumber(hour.temp));
+    if (rows.length < 2) return null;
+
+    const temps = rows.map((hour) => convertTemp(Number(hour.temp)));
+    const feels = rows.map((hour) => (isNumber(hour.feelsLike) ? convertTemp(Number(hour.feelsLike)) : null));
+    const allTemps = [...temps, ...feels.filter((value) => value !== null)];
+
+    const minTemp = Math.floor(Math.min(...allTemps)) - 2;
+    const maxTemp = Math.ceil(Math.max(...allTemps)) + 2;
+    const tempRange = maxTemp - minTemp || 1;
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const step = plotWidth / rows.length;
+    const baselineY = PADDING.top + plotHeight;
+
+    const xAt = (index) => PADDING.left + (index + 0.5) * step;
+    const yForTemp = (value) => PADDING.top + (1 - (value - minTemp) / tempRange) * plotHeight;
+
+    const tempPoints = temps.map((value, index) => ({ x: xAt(index), y: yForTemp(value) }));
+    const feelsPoints = feels.map((value, index) => (value === null ? null : { x: xAt(index), y: yForTemp(value) }));
+
+    const barWidth = step * BAR_WIDTH_RATIO;
+    const bars = rows.map((hour, index) => {
+        const pop = isNumber(hour.pop) ? Math.max(0, Math.min(100, Number(hour.pop))) : 0;
+        const height = (pop / 100) * plotHeight;
+        return {
+            key: `bar-${hour.timeUnix}`,
+            x: (xAt(index) - barWidth / 2).toFixed(1),
+            y: (baselineY - height).toFixed(1),
+            width: barWidth.toFixed(1),
+            height: height.toFixed(1)
+        };
+    });
+
+    const points = rows.map((hour, index) => {
+        const feelsLike = feels[index];
+        const pop = isNumber(hour.pop) ? Math.round(Number(hour.pop)) : null;
+        const label = labelHour(hour.timeUnix);
+        return {
+            key: `pt-${hour.timeUnix}`,
+            index,
+            cx: tempPoints[index].x.toFixed(1),
+            cy: tempPoints[index].y.toFixed(1),
+            leftPercent: (tempPoints[index].x / WIDTH) * 100,
+            label,
+            temp: Math.round(temps[index]),
+            feelsLike: feelsLike === null ? null : Math.round(feelsLike),
+            pop,
+            ariaLabel: [
+                formatLabel(LABELS.chartPoint, label, Math.round(temps[index])),
+                feelsLike === null ? null : formatLabel(LABELS.chartPointFeelsLike, Math.round(feelsLike)),
+                pop === null ? null : formatLabel(LABELS.chartPointPop, pop)
+            ].filter(Boolean).join(', ')
+        };
+    });
+
+    const yTicks = [];
+    for (let i = 0; i <= Y_TICK_COUNT; i++) {
+        const value = minTemp + (tempRange * i) / Y_TICK_COUNT;
+        yTicks.push({ key: `y-${i}`, y: yForTemp(value).toFixed(1), label: `${Math.round(value)}°` });
+    }
+
+    const xLabels = rows
+        .map((hour, index) => ({ hour, index }))
+        .filter(({ index }) => index % labelEvery === 0)
+        .map(({ hour, index }) => ({ key: `x-${hour.timeUnix}`, x: xAt(index).toFixed(1), label: labelHour(hour.timeUnix) }));
+
+    return {
+        viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+        plotLeft: PADDING.left,
+        plotRight: WIDTH - PADDING.right,
+        labelX: PADDING.left - 6,
+        labelY: HEIGHT - 8,
+        baselineY: baselineY.toFixed(1),
+        tempPath: toPath(tempPoints),
+        feelsPath: toPath(feelsPoints),
+        bars,
+        points,
+        yTicks,
+        xLabels
+    };
+}
@@ -0,0 +1,495 @@
+/**
+ * @description Custom labels for the weatherForecast component, gathered in one
+ * place so the template can bind {labels.x} and the JS can fill placeholders
+ * with formatLabel(). Translate them with Translation Workbench.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+
+import Weather_Title from '@salesforce/label/c.Weather_Title';
+import Weather_Welcome from '@salesforce/label/c.Weather_Welcome';
+import Weather_Generic_Error from '@salesforce/label/c.Weather_Generic_Error';
+import Weather_Fetch_Error from '@salesforce/label/c.Weather_Fetch_Error';
+import Weather_Unknown_Location from '@salesforce/label/c.Weather_Unknown_Location';
+import Weather_Current_Location from '@salesforce/label/c.Weather_Current_Location';
+import Weather_Error_Not_Found_Message from '@salesforce/label/c.Weather_Error_Not_Found_Message';
+import Weather_Error_Invalid_Input_Message from '@salesforce/label/c.Weather_Error_Invalid_Input_Message';
+import Weather_Error_Timeout_Message from '@salesforce/label/c.Weather_Error_Timeout_Message';
+import Weather_Error_Rate_Limited_Message from '@salesforce/label/c.Weather_Error_Rate_Limited_Message';
+import Weather_Error_Upstream_Message from '@salesforce/label/c.Weather_Error_Upstream_Message';
+import Weather_Edit_Search from '@salesforce/label/c.Weather_Edit_Search';
+import Weather_Try_Again from '@salesforce/label/c.Weather_Try_Again';
+import Weather_Search_Placeholder from '@salesforce/label/c.Weather_Search_Placeholder';
+import Weather_Search from '@salesforce/label/c.Weather_Search';
+import Weather_Search_Label from '@salesforce/label/c.Weather_Search_Label';
+import Weather_Use_My_Location from '@salesforce/label/c.Weather_Use_My_Location';
+import Weather_Suggestions from '@salesforce/label/c.Weather_Suggestions';
+import Weather_Location_Suggestions from '@salesforce/label/c.Weather_Location_Suggestions';
+import Weather_Recent_Searches from '@salesforce/label/c.Weather_Recent_Searches';
+import Weather_Population from '@salesforce/label/c.Weather_Population';
+import Weather_Geolocation_Error from '@salesforce/label/c.Weather_Geolocation_Error';
+import Weather_Geolocation_Unsupported from '@salesforce/label/c.Weather_Geolocation_Unsupported';
+import Weather_Compare_Favorites from '@salesforce/label/c.Weather_Compare_Favorites';
+import Weather_Favorites_Count from '@salesforce/label/c.Weather_Favorites_Count';
+import Weather_Favorite_Locations from '@salesforce/label/c.Weather_Favorite_Locations';
+import Weather_Close from '@salesforce/label/c.Weather_Close';
+import Weather_Add_Favorite from '@salesforce/label/c.Weather_Add_Favorite';
+import Weather_Remove_Favorite from '@salesforce/label/c.Weather_Remove_Favorite';
+import Weather_Clock_12h from '@salesforce/label/c.Weather_Clock_12h';
+import Weather_Clock_24h from '@salesforce/label/c.Weather_Clock_24h';
+import Weather_Switch_To_12h from '@salesforce/label/c.Weather_Switch_To_12h';
+import Weather_Switch_To_24h from '@salesforce/label/c.Weather_Switch_To_24h';
+import Weather_Back_To_Current from '@salesforce/label/c.Weather_Back_To_Current';
+import Weather_Local_Time from '@salesforce/label/c.Weather_Local_Time';
+import Weather_Postal_Code_In from '@salesforce/label/c.Weather_Postal_Code_In';
+import Weather_Refresh from '@salesforce/label/c.Weather_Refresh';
+import Weather_Updated from '@salesforce/label/c.Weather_Updated';
+import Weather_Cached from '@salesforce/label/c.Weather_Cached';
+import Weather_Refreshing from '@salesforce/label/c.Weather_Refreshing';
+import Weather_Just_Now from '@salesforce/label/c.Weather_Just_Now';
+import Weather_Minutes_Ago from '@salesforce/label/c.Weather_Minutes_Ago';
+import Weather_One_Hour_Ago from '@salesforce/label/c.Weather_One_Hour_Ago';
+import Weather_Hours_Ago from '@salesforce/label/c.Weather_Hours_Ago';
+import Weather_Feels_Like from '@salesforce/label/c.Weather_Feels_Like';
+import Weather_Stale_Data from '@salesforce/label/c.Weather_Stale_Data';
+import Weather_Retry from '@salesforce/label/c.Weather_Retry';
+import Weather_Loading_Forecast from '@salesforce/label/c.Weather_Loading_Forecast';
+import Weather_Forecast_Loaded from '@salesforce/label/c.Weather_Forecast_Loaded';
+import Weather_Export from '@salesforce/label/c.Weather_Export';
+import Weather_Export_Forecast from '@salesforce/label/c.Weather_Export_Forecast';
+import Weather_Export_CSV from '@salesforce/label/c.Weather_Export_CSV';
+import Weather_Export_JSON from '@salesforce/label/c.Weather_Export_JSON';
+import Weather_Export_ICS from '@salesforce/label/c.Weather_Export_ICS';
+import Weather_Humidity from '@salesforce/label/c.Weather_Humidity';
+import Weather_Wind from '@salesforce/label/c.Weather_Wind';
+import Weather_Visibility from '@salesforce/label/c.Weather_Visibility';
+import Weather_Pressure from '@salesforce/label/c.Weather_Pressure';
+import Weather_Rain_Chance from '@salesforce/label/c.Weather_Rain_Chance';
+import Weather_Precipitation from '@salesforce/label/c.Weather_Precipitation';
+import Weather_Gusts from '@salesforce/label/c.Weather_Gusts';
+import Weather_UV_Index from '@salesforce/label/c.Weather_UV_Index';
+import Weather_Previous_Day from '@salesforce/label/c.Weather_Previous_Day';
+import Weather_Next_Day from '@salesforce/label/c.Weather_Next_Day';
+import Weather_Compass_Points from '@salesforce/label/c.Weather_Compass_Points';
+import Weather_Hour_By_Hour from '@salesforce/label/c.Weather_Hour_By_Hour';
+import Weather_Hour_By_Hour_Unavailable from '@salesforce/label/c.Weather_Hour_By_Hour_Unavailable';
+import Weather_Time from '@salesforce/label/c.Weather_Time';
+import Weather_Temp from '@salesforce/label/c.Weather_Temp';
+import Weather_Rain from '@salesforce/label/c.Weather_Rain';
+import Weather_Hourly_Forecast from '@salesforce/label/c.Weather_Hourly_Forecast';
+import Weather_Chart_Title from '@salesforce/label/c.Weather_Chart_Title';
+import Weather_Chart_Description from '@salesforce/label/c.Weather_Chart_Description';
+import Weather_Chart_Point from '@salesforce/label/c.Weather_Chart_Point';
+import Weather_Chart_Point_Feels_Like from '@salesforce/label/c.Weather_Chart_Point_Feels_Like';
+import Weather_Chart_Point_Pop from '@salesforce/label/c.Weather_Chart_Point_Pop';
+import Weather_Temperature from '@salesforce/label/c.Weather_Temperature';
+import Weather_Feels_Like_Legend from '@salesforce/label/c.Weather_Feels_Like_Legend';
+import Weather_Precip_Chance_Legend from '@salesforce/label/c.Weather_Precip_Chance_Legend';
+import Weather_Daily_Forecast from '@salesforce/label/c.Weather_Daily_Forecast';
+import Weather_Forecast_Range from '@salesforce/label/c.Weather_Forecast_Range';
+import Weather_Forecast_Range_Option from '@salesforce/label/c.Weather_Forecast_Range_Option';
+import Weather_Forecast_Range_Title from '@salesforce/label/c.Weather_Forecast_Range_Title';
+import Weather_Previous_Days from '@salesforce/label/c.Weather_Previous_Days';
+import Weather_Next_Days from '@salesforce/label/c.Weather_Next_Days';
+import Weather_Day_Page_Status from '@salesforce/label/c.Weather_Day_Page_Status';
+import Weather_Previous_Hours from '@salesforce/label/c.Weather_Previous_Hours';
+import Weather_Next_Hours from '@salesforce/label/c.Weather_Next_Hours';
+import Weather_Hour_Page_Status from '@salesforce/label/c.Weather_Hour_Page_Status';
+import Weather_Confidence_Medium from '@salesforce/label/c.Weather_Confidence_Medium';
+import Weather_Confidence_Low from '@salesforce/label/c.Weather_Confidence_Low';
+import Weather_Confidence_Note from '@salesforce/label/c.Weather_Confidence_Note';
+import Weather_Date from '@salesforce/label/c.Weather_Date';
+import Weather_High from '@salesforce/label/c.Weather_High';
+import Weather_Low from '@salesforce/label/c.Weather_Low';
+import Weather_Conditions from '@salesforce/label/c.Weather_Conditions';
+import Weather_Sunrise from '@salesforce/label/c.Weather_Sunrise';
+import Weather_Sunset from '@salesforce/label/c.Weather_Sunset';
+import Weather_Export_Calendar_Name from '@salesforce/label/c.Weather_Export_Calendar_Name';
+import Weather_Export_Event_Summary from '@salesforce/label/c.Weather_Export_Event_Summary';
+import Weather_Air_Quality_Title from '@salesforce/label/c.Weather_Air_Quality_Title';
+import Weather_US_AQI from '@salesforce/label/c.Weather_US_AQI';
+import Weather_European_AQI from '@salesforce/label/c.Weather_European_AQI';
+import Weather_PM25 from '@salesforce/label/c.Weather_PM25';
+import Weather_PM10 from '@salesforce/label/c.Weather_PM10';
+import Weather_Ozone from '@salesforce/label/c.Weather_Ozone';
+import Weather_UV_Now from '@salesforce/label/c.Weather_UV_Now';
+import Weather_UV_Today_Max from '@salesforce/label/c.Weather_UV_Today_Max';
+import Weather_AQI_Good from '@salesforce/label/c.Weather_AQI_Good';
+import Weather_AQI_Fair from '@salesforce/label/c.Weather_AQI_Fair';
+import Weather_AQI_Moderate from '@salesforce/label/c.Weather_AQI_Moderate';
+import Weather_AQI_Sensitive from '@salesforce/label/c.Weather_AQI_Sensitive';
+import Weather_AQI_Unhealthy from '@salesforce/label/c.Weather_AQI_Unhealthy';
+import Weather_AQI_Very_Unhealthy from '@salesforce/label/c.Weather_AQI_Very_Unhealthy';
+import Weather_AQI_Hazardous from '@salesforce/label/c.Weather_AQI_Hazardous';
+import Weather_AQI_Poor from '@salesforce/label/c.Weather_AQI_Poor';
+import Weather_AQI_Very_Poor from '@salesforce/label/c.Weather_AQI_Very_Poor';
+import Weather_AQI_Extremely_Poor from '@salesforce/label/c.Weather_AQI_Extremely_Poor';
+import Weather_AQI_Guidance_Good from '@salesforce/label/c.Weather_AQI_Guidance_Good';
+import Weather_AQI_Guidance_Moderate from '@salesforce/label/c.Weather_AQI_Guidance_Moderate';
+import Weather_AQI_Guidance_Sensitive from '@salesforce/label/c.Weather_AQI_Guidance_Sensitive';
+import Weather_AQI_Guidance_Unhealthy from '@salesforce/label/c.Weather_AQI_Guidance_Unhealthy';
+import Weather_AQI_Guidance_Very_Unhealthy from '@salesforce/label/c.Weather_AQI_Guidance_Very_Unhealthy';
+import Weather_AQI_Guidance_Hazardous from '@salesforce/label/c.Weather_AQI_Guidance_Hazardous';
+import Weather_UV_Low from '@salesforce/label/c.Weather_UV_Low';
+import Weather_UV_Moderate from '@salesforce/label/c.Weather_UV_Moderate';
+import Weather_UV_High from '@salesforce/label/c.Weather_UV_High';
+import Weather_UV_Very_High from '@salesforce/label/c.Weather_UV_Very_High';
+import Weather_UV_Extreme from '@salesforce/label/c.Weather_UV_Extreme';
+import Weather_UV_Guidance_Low from '@salesforce/label/c.Weather_UV_Guidance_Low';
+import Weather_UV_Guidance_Moderate from '@salesforce/label/c.Weather_UV_Guidance_Moderate';
+import Weather_UV_Guidance_High from '@salesforce/label/c.Weather_UV_Guidance_High';
+import Weather_UV_Guidance_Very_High from '@salesforce/label/c.Weather_UV_Guidance_Very_High';
+import Weather_UV_Guidance_Extreme from '@salesforce/label/c.Weather_UV_Guidance_Extreme';
+import Weather_Nowcast_Dry from '@salesforce/label/c.Weather_Nowcast_Dry';
+import Weather_Nowcast_Rain_Starting from '@salesforce/label/c.Weather_Nowcast_Rain_Starting';
+import Weather_Nowcast_Rain_Ending from '@salesforce/label/c.Weather_Nowcast_Rain_Ending';
+import Weather_Nowcast_Rain_Continuing from '@salesforce/label/c.Weather_Nowcast_Rain_Continuing';
+import Weather_Nowcast_Snow_Starting from '@salesforce/label/c.Weather_Nowcast_Snow_Starting';
+import Weather_Nowcast_Snow_Ending from '@salesforce/label/c.Weather_Nowcast_Snow_Ending';
+import Weather_Nowcast_Snow_Continuing from '@salesforce/label/c.Weather_Nowcast_Snow_Continuing';
+import Weather_Nowcast_Bar_Label from '@salesforce/label/c.Weather_Nowcast_Bar_Label';
+import Weather_Nowcast_Step_Title from '@salesforce/label/c.Weather_Nowcast_Step_Title';
+import Weather_Nowcast_Start from '@salesforce/label/c.Weather_Nowcast_Start';
+import Weather_Nowcast_End from '@salesforce/label/c.Weather_Nowcast_End';
+import Weather_History_Comparison from '@salesforce/label/c.Weather_History_Comparison';
+import Weather_Warmer_Than_Yesterday from '@salesforce/label/c.Weather_Warmer_Than_Yesterday';
+import Weather_Cooler_Than_Yesterday from '@salesforce/label/c.Weather_Cooler_Than_Yesterday';
+import Weather_Same_As_Yesterday from '@salesforce/label/c.Weather_Same_As_Yesterday';
+import Weather_Above_Normal from '@salesforce/label/c.Weather_Above_Normal';
+import Weather_Below_Normal from '@salesforce/label/c.Weather_Below_Normal';
+import Weather_Near_Normal from '@salesforce/label/c.Weather_Near_Normal';
+import Weather_Yesterday_High_Low from '@salesforce/label/c.Weather_Yesterday_High_Low';
+import Weather_Normal_High_Low from '@salesforce/label/c.Weather_Normal_High_Low';
+import Weather_Last_Year_High_Low from '@salesforce/label/c.Weather_Last_Year_High_Low';
+import Weather_Trend_Title from '@salesforce/label/c.Weather_Trend_Title';
+import Weather_Trend_Chart_Label from '@salesforce/label/c.Weather_Trend_Chart_Label';
+import Weather_Trend_Day_Title from '@salesforce/label/c.Weather_Trend_Day_Title';
+import Weather_Trend_Observed from '@salesforce/label/c.Weather_Trend_Observed';
+import Weather_Trend_Forecast from '@salesforce/label/c.Weather_Trend_Forecast';
+import Weather_Astronomy_Title from '@salesforce/label/c.Weather_Astronomy_Title';
+import Weather_Sun_Arc_Label from '@salesforce/label/c.Weather_Sun_Arc_Label';
+import Weather_Sun_Arc_Progress from '@salesforce/label/c.Weather_Sun_Arc_Progress';
+import Weather_Day_Length from '@salesforce/label/c.Weather_Day_Length';
+import Weather_Duration_Hours_Minutes from '@salesforce/label/c.Weather_Duration_Hours_Minutes';
+import Weather_Duration_Minutes_Seconds from '@salesforce/label/c.Weather_Duration_Minutes_Seconds';
+import Weather_Day_Longer_Than_Yesterday from '@salesforce/label/c.Weather_Day_Longer_Than_Yesterday';
+import Weather_Day_Shorter_Than_Yesterday from '@salesforce/label/c.Weather_Day_Shorter_Than_Yesterday';
+import Weather_Day_Same_As_Yesterday from '@salesforce/label/c.Weather_Day_Same_As_Yesterday';
+import Weather_Sun_Up_All_Day from '@salesforce/label/c.Weather_Sun_Up_All_Day';
+import Weather_Sun_Down_All_Day from '@salesforce/label/c.Weather_Sun_Down_All_Day';
+import Weather_Morning from '@salesforce/label/c.Weather_Morning';
+import Weather_Evening from '@salesforce/label/c.Weather_Evening';
+import Weather_Time_Range from '@salesforce/label/c.Weather_Time_Range';
+import Weather_Civil_Twilight from '@salesforce/label/c.Weather_Civil_Twilight';
+import Weather_Nautical_Twilight from '@salesforce/label/c.Weather_Nautical_Twilight';
+import Weather_Golden_Hour from '@salesforce/label/c.Weather_Golden_Hour';
+import Weather_Moon_New from '@salesforce/label/c.Weather_Moon_New';
+import Weather_Moon_Waxing_Crescent from '@salesforce/label/c.Weather_Moon_Waxing_Crescent';
+import Weather_Moon_First_Quarter from '@salesforce/label/c.Weather_Moon_First_Quarter';
+import Weather_Moon_Waxing_Gibbous from '@salesforce/label/c.Weather_Moon_Waxing_Gibbous';
+import Weather_Moon_Full from '@salesforce/label/c.Weather_Moon_Full';
+import Weather_Moon_Waning_Gibbous from '@salesforce/label/c.Weather_Moon_Waning_Gibbous';
+import Weather_Moon_Last_Quarter from '@salesforce/label/c.Weather_Moon_Last_Quarter';
+import Weather_Moon_Waning_Crescent from '@salesforce/label/c.Weather_Moon_Waning_Crescent';
+import Weather_Moon_Illumination from '@salesforce/label/c.Weather_Moon_Illumination';
+import Weather_Moonrise from '@salesforce/label/c.Weather_Moonrise';
+import Weather_Moonset from '@salesforce/label/c.Weather_Moonset';
+import Weather_Moon_Up_All_Day from '@salesforce/label/c.Weather_Moon_Up_All_Day';
+import Weather_Moon_Down_All_Day from '@salesforce/label/c.Weather_Moon_Down_All_Day';
+import Weather_Planner_Title from '@salesforce/label/c.Weather_Planner_Title';
+import Weather_Activity_Profile from '@salesforce/label/c.Weather_Activity_Profile';
+import Weather_Activity_Roofing from '@salesforce/label/c.Weather_Activity_Roofing';
+import Weather_Activity_Painting from '@salesforce/label/c.Weather_Activity_Painting';
+import Weather_Activity_Concrete from '@salesforce/label/c.Weather_Activity_Concrete';
+import Weather_Activity_Custom from '@salesforce/label/c.Weather_Activity_Custom';
+import Weather_Planner_Temp_Range from '@salesforce/label/c.Weather_Planner_Temp_Range';
+import Weather_Planner_Wind_Max from '@salesforce/label/c.Weather_Planner_Wind_Max';
+import Weather_Planner_Pop_Max from '@salesforce/label/c.Weather_Planner_Pop_Max';
+import Weather_Planner_Daylight_Only from '@salesforce/label/c.Weather_Planner_Daylight_Only';
+import Weather_Planner_Min_Hours from '@salesforce/label/c.Weather_Planner_Min_Hours';
+import Weather_Planner_Min_Temp_Input from '@salesforce/label/c.Weather_Planner_Min_Temp_Input';
+import Weather_Planner_Max_Temp_Input from '@salesforce/label/c.Weather_Planner_Max_Temp_Input';
+import Weather_Planner_Max_Wind_Input from '@salesforce/label/c.Weather_Planner_Max_Wind_Input';
+import Weather_Planner_Max_Pop_Input from '@salesforce/label/c.Weather_Planner_Max_Pop_Input';
+import Weather_Planner_Min_Hours_Input from '@salesforce/label/c.Weather_Planner_Min_Hours_Input';
+import Weather_Planner_Best_Windows from '@salesforce/label/c.Weather_Planner_Best_Windows';
+import Weather_Planner_Window_Range from '@salesforce/label/c.Weather_Planner_Window_Range';
+import Weather_Planner_Window_Hours from '@salesforce/label/c.Weather_Planner_Window_Hours';
+import Weather_Planner_Window_Detail from '@salesforce/label/c.Weather_Planner_Window_Detail';
+import Weather_Planner_Daily_Window from '@salesforce/label/c.Weather_Planner_Daily_Window';
+import Weather_Planner_No_Windows from '@salesforce/label/c.Weather_Planner_No_Windows';
+import Weather_Planner_Match from '@salesforce/label/c.Weather_Planner_Match';
+import Weather_Dismiss from '@salesforce/label/c.Weather_Dismiss';
+import Weather_Dismiss_Alert from '@salesforce/label/c.Weather_Dismiss_Alert';
+import Weather_Alert_Heat from '@salesforce/label/c.Weather_Alert_Heat';
+import Weather_Alert_Freeze from '@salesforce/label/c.Weather_Alert_Freeze';
+import Weather_Alert_Wind from '@salesforce/label/c.Weather_Alert_Wind';
+import Weather_Alert_Thunderstorm from '@salesforce/label/c.Weather_Alert_Thunderstorm';
+import Weather_Alert_Precip from '@salesforce/label/c.Weather_Alert_Precip';
+import Weather_Alert_Heat_Message from '@salesforce/label/c.Weather_Alert_Heat_Message';
+import Weather_Alert_Freeze_Message from '@salesforce/label/c.Weather_Alert_Freeze_Message';
+import Weather_Alert_Wind_Message from '@salesforce/label/c.Weather_Alert_Wind_Message';
+import Weather_Alert_Thunderstorm_Message from '@salesforce/label/c.Weather_Alert_Thunderstorm_Message';
+import Weather_Alert_Hail_Message from '@salesforce/label/c.Weather_Alert_Hail_Message';
+import Weather_Alert_Precip_Message from '@salesforce/label/c.Weather_Alert_Precip_Message';
+import Weather_Alert_Now from '@salesforce/label/c.Weather_Alert_Now';
+import Weather_Alert_From from '@salesforce/label/c.Weather_Alert_From';
+import Weather_Alert_On from '@salesforce/label/c.Weather_Alert_On';
+import Weather_Unit_Settings from '@salesforce/label/c.Weather_Unit_Settings';
+import Weather_Distance from '@salesforce/label/c.Weather_Distance';
+import Weather_Beaufort from '@salesforce/label/c.Weather_Beaufort';
+import Weather_Beaufort_Force from '@salesforce/label/c.Weather_Beaufort_Force';
+import Weather_Record_Read_Error from '@salesforce/label/c.Weather_Record_Read_Error';
+import Weather_Record_No_Location from '@salesforce/label/c.Weather_Record_No_Location';
+import Weather_Flow_Next from '@salesforce/label/c.Weather_Flow_Next';
+import Weather_Flow_Finish from '@salesforce/label/c.Weather_Flow_Finish';
+import Weather_Flow_Not_Ready from '@salesforce/label/c.Weather_Flow_Not_Ready';
+
+export const LABELS = {
+    title: Weather_Title,
+    welcome: Weather_Welcome,
+    genericError: Weather_Generic_Error,
+    fetchError: Weather_Fetch_Error,
+    unknownLocation: Weather_Unknown_Location,
+    currentLocation: Weather_Current_Location,
+    errorNotFound: Weather_Error_Not_Found_Message,
+    errorInvalidInput: Weather_Error_Invalid_Input_Message,
+    errorTimeout: Weather_Error_Timeout_Message,
+    errorRateLimited: Weather_Error_Rate_Limited_Message,
+    errorUpstream: Weather_Error_Upstream_Message,
+    editSearch: Weather_Edit_Search,
+    tryAgain: Weather_Try_Again,
+    searchPlaceholder: Weather_Search_Placeholder,
+    search: Weather_Search,
+    searchLabel: Weather_Search_Label,
+    useMyLocation: Weather_Use_My_Location,
+    suggestions: Weather_Suggestions,
+    locationSuggestions: Weather_Location_Suggestions,
+    recentSearches: Weather_Recent_Searches,
+    population: Weather_Population,
+    geolocationError: Weather_Geolocation_Error,
+    geolocationUnsupported: Weather_Geolocation_Unsupported,
+    compareFavorites: Weather_Compare_Favorites,
+    favoritesCount: Weather_Favorites_Count,
+    favoriteLocations: Weather_Favorite_Locations,
+    close: Weather_Close,
+    addFavorite: Weather_Add_Favorite,
+    removeFavorite: Weather_Remove_Favorite,
+    clock12: Weather_Clock_12h,
+    clock24: Weather_Clock_24h,
+    switchTo12: Weather_Switch_To_12h,
+    switchTo24: Weather_Switch_To_24h,
+    backToCurrent: Weather_Back_To_Current,
+    localTime: Weather_Local_Time,
+    postalCodeIn: Weather_Postal_Code_In,
+    refresh: Weather_Refresh,
+    updated: Weather_Updated,
+    cached: Weather_Cached,
+    refreshing: Weather_Refreshing,
+    justNow: Weather_Just_Now,
+    minutesAgo: Weather_Minutes_Ago,
+    oneHourAgo: Weather_One_Hour_Ago,
+    hoursAgo: Weather_Hours_Ago,
+    feelsLike: Weather_Feels_Like,
+    staleData: Weather_Stale_Data,
+    retry: Weather_Retry,
+    loadingForecast: Weather_Loading_Forecast,
+    forecastLoaded: Weather_Forecast_Loaded,
+    export: Weather_Export,
+    exportForecast: Weather_Export_Forecast,
+    exportCsv: Weather_Export_CSV,
+    exportJson: Weather_Export_JSON,
+    exportIcs: Weather_Export_ICS,
+    humidity: Weather_Humidity,
+    wind: Weather_Wind,
+    visibility: Weather_Visibility,
+    pressure: Weather_Pressure,
+    rainChance: Weather_Rain_Chance,
+    precipitation: Weather_Precipitation,
+    gusts: Weather_Gusts,
+    uvIndex: Weather_UV_Index,
+    previousDay: Weather_Previous_Day,
+    nextDay: Weather_Next_Day,
+    compassPoints: Weather_Compass_Points,
+    hourByHour: Weather_Hour_By_Hour,
+    hourByHourUnavailable: Weather_Hour_By_Hour_Unavailable,
+    time: Weather_Time,
+    temp: Weather_Temp,
+    rain: Weather_Rain,
+    hourlyForecast: Weather_Hourly_Forecast,
+    chartTitle: Weather_Chart_Title,
+    chartDescription: Weather_Chart_Description,
+    chartPoint: Weather_Chart_Point,
+    chartPointFeelsLike: Weather_Chart_Point_Feels_Like,
+    chartPointPop: Weather_Chart_Point_Pop,
+    temperature: Weather_Temperature,
+    feelsLikeLegend: Weather_Feels_Like_Legend,
+    precipChanceLegend: Weather_Precip_Chance_Legend,
+    dailyForecast: Weather_Daily_Forecast,
+    forecastRange: Weather_Forecast_Range,
+    forecastRangeOption: Weather_Forecast_Range_Option,
+    forecastRangeTitle: Weather_Forecast_Range_Title,
+    previousDays: Weather_Previous_Days,
+    nextDays: Weather_Next_Days,
+    dayPageStatus: Weather_Day_Page_Status,
+    previousHours: Weather_Previous_Hours,
+    nextHours: Weather_Next_Hours,
+    hourPageStatus: Weather_Hour_Page_Status,
+    confidenceMedium: Weather_Confidence_Medium,
+    confidenceLow: Weather_Confidence_Low,
+    confidenceNote: Weather_Confidence_Note,
+    date: Weather_Date,
+    high: Weather_High,
+    low: Weather_Low,
+    conditions: Weather_Conditions,
+    sunrise: Weather_Sunrise,
+    sunset: Weather_Sunset,
+    exportCalendarName: Weather_Export_Calendar_Name,
+    exportEventSummary: Weather_Export_Event_Summary,
+    airQualityTitle: Weather_Air_Quality_Title,
+    usAqi: Weather_US_AQI,
+    europeanAqi: Weather_European_AQI,
+    pm25: Weather_PM25,
+    pm10: Weather_PM10,
+    ozone: Weather_Ozone,
+    uvNow: Weather_UV_Now,
+    uvTodayMax: Weather_UV_Today_Max,
+    aqiGood: Weather_AQI_Good,
+    aqiFair: Weather_AQI_Fair,
+    aqiModerate: Weather_AQI_Moderate,
+    aqiSensitive: Weather_AQI_Sensitive,
+    aqiUnhealthy: Weather_AQI_Unhealthy,
+    aqiVeryUnhealthy: Weather_AQI_Very_Unhealthy,
+    aqiHazardous: Weather_AQI_Hazardous,
+    aqiPoor: Weather_AQI_Poor,
+    aqiVeryPoor: Weather_AQI_Very_Poor,
+    aqiExtremelyPoor: Weather_AQI_Extremely_Poor,
+    aqiGuidanceGood: Weather_AQI_Guidance_Good,
+    aqiGuidanceModerate: Weather_AQI_Guidance_Moderate,
+    aqiGuidanceSensitive: Weather_AQI_Guidance_Sensitive,
+    aqiGuidanceUnhealthy: Weather_AQI_Guidance_Unhealthy,
+    aqiGuidanceVeryUnhealthy: Weather_AQI_Guidance_Very_Unhealthy,
+    aqiGuidanceHazardous: Weather_AQI_Guidance_Hazardous,
+    uvLow: Weather_UV_Low,
+    uvModerate: Weather_UV_Moderate,
+    uvHigh: Weather_UV_High,
+    uvVeryHigh: Weather_UV_Very_High,
+    uvExtreme: Weather_UV_Extreme,
+    uvGuidanceLow: Weather_UV_Guidance_Low,
+    uvGuidanceModerate: Weather_UV_Guidance_Moderate,
+    uvGuidanceHigh: Weather_UV_Guidance_High,
+    uvGuidanceVeryHigh: Weather_UV_Guidance_Very_High,
+    uvGuidanceExtreme: Weather_UV_Guidance_Extreme,
+    nowcastDry: Weather_Nowcast_Dry,
+    nowcastRainStarting: Weather_Nowcast_Rain_Starting,
+    nowcastRainEnding: Weather_Nowcast_Rain_Ending,
+    nowcastRainContinuing: Weather_Nowcast_Rain_Continuing,
+    nowcastSnowStarting: Weather_Nowcast_Snow_Starting,
+    nowcastSnowEnding: Weather_Nowcast_Snow_Ending,
+    nowcastSnowContinuing: Weather_Nowcast_Snow_Continuing,
+    nowcastBarLabel: Weather_Nowcast_Bar_Label,
+    nowcastStepTitle: Weather_Nowcast_Step_Title,
+    nowcastStart: Weather_Nowcast_Start,
+    nowcastEnd: Weather_Nowcast_End,
+    historyComparison: Weather_History_Comparison,
+    warmerThanYesterday: Weather_Warmer_Than_Yesterday,
+    coolerThanYesterday: Weather_Cooler_Than_Yesterday,
+    sameAsYesterday: Weather_Same_As_Yesterday,
+    aboveNormal: Weather_Above_Normal,
+    belowNormal: Weather_Below_Normal,
+    nearNormal: Weather_Near_Normal,
+    yesterdayHighLow: Weather_Yesterday_High_Low,
+    normalHighLow: Weather_Normal_High_Low,
+    lastYearHighLow: Weather_Last_Year_High_Low,
+    trendTitle: Weather_Trend_Title,
+    trendChartLabel: Weather_Trend_Chart_Label,
+    trendDayTitle: Weather_Trend_Day_Title,
+    trendObserved: Weather_Trend_Observed,
+    trendForecast: Weather_Trend_Forecast,
+    astronomyTitle: Weather_Astronomy_Title,
+    sunArcLabel: Weather_Sun_Arc_Label,
+    sunArcProgress: Weather_Sun_Arc_Progress,
+    dayLength: Weather_Day_Length,
+    durationHoursMinutes: Weather_Duration_Hours_Minutes,
+    durationMinutesSeconds: Weather_Duration_Minutes_Seconds,
+    dayLongerThanYesterday: Weather_Day_Longer_Than_Yesterday,
+    dayShorterThanYesterday: Weather_Day_Shorter_Than_Yesterday,
+    daySameAsYesterday: Weather_Day_Same_As_Yesterday,
+    sunUpAllDay: Weather_Sun_Up_All_Day,
+    sunDownAllDay: Weather_Sun_Down_All_Day,
+    morning: Weather_Morning,
+    evening: Weather_Evening,
+    timeRange: Weather_Time_Range,
+    civilTwilight: Weather_Civil_Twilight,
+    nauticalTwilight: Weather_Nautical_Twilight,
+    goldenHour: Weather_Golden_Hour,
+    moonNew: Weather_Moon_New,
+    moonWaxingCrescent: Weather_Moon_Waxing_Crescent,
+    moonFirstQuarter: Weather_Moon_First_Quarter,
+    moonWaxingGibbous: Weather_Moon_Waxing_Gibbous,
+    moonFull: Weather_Moon_Full,
+    moonWaningGibbous: Weather_Moon_Waning_Gibbous,
+    moonLastQuarter: Weather_Moon_Last_Quarter,
+    moonWaningCrescent: Weather_Moon_Waning_Crescent,
+    moonIllumination: Weather_Moon_Illumination,
+    moonrise: Weather_Moonrise,
+    moonset: Weather_Moonset,
+    moonUpAllDay: Weather_Moon_Up_All_Day,
+    moonDownAllDay: Weather_Moon_Down_All_Day,
+    plannerTitle: Weather_Planner_Title,
+    activityProfile: Weather_Activity_Profile,
+    activityRoofing: Weather_Activity_Roofing,
+    activityPainting: Weather_Activity_Painting,
+    activityConcrete: Weather_Activity_Concrete,
+    activityCustom: Weather_Activity_Custom,
+    plannerTempRange: Weather_Planner_Temp_Range,
+    plannerWindMax: Weather_Planner_Wind_Max,
+    plannerPopMax: Weather_Planner_Pop_Max,
+    plannerDaylightOnly: Weather_Planner_Daylight_Only,
+    plannerMinHours: Weather_Planner_Min_Hours,
+    plannerMinTempInput: Weather_Planner_Min_Temp_Input,
+    plannerMaxTempInput: Weather_Planner_Max_Temp_Input,
+    plannerMaxWindInput: Weather_Planner_Max_Wind_Input,
+    plannerMaxPopInput: Weather_Planner_Max_Pop_Input,
+    plannerMinHoursInput: Weather_Planner_Min_Hours_Input,
+    plannerBestWindows: Weather_Planner_Best_Windows,
+    plannerWindowRange: Weather_Planner_Window_Range,
+    plannerWindowHours: Weather_Planner_Window_Hours,
+    plannerWindowDetail: Weather_Planner_Window_Detail,
+    plannerDailyWindow: Weather_Planner_Daily_Window,
+    plannerNoWindows: Weather_Planner_No_Windows,
+    plannerMatch: Weather_Planner_Match,
+    dismiss: Weather_Dismiss,
+    dismissAlert: Weather_Dismiss_Alert,
+    alertHeat: Weather_Alert_Heat,
+    alertFreeze: Weather_Alert_Freeze,
+    alertWind: Weather_Alert_Wind,
+    alertThunderstorm: Weather_Alert_Thunderstorm,
+    alertPrecip: Weather_Alert_Precip,
+    alertHeatMessage: Weather_Alert_Heat_Message,
+    alertFreezeMessage: Weather_Alert_Freeze_Message,
+    alertWindMessage: Weather_Alert_Wind_Message,
+    alertThunderstormMessage: Weather_Alert_Thunderstorm_Message,
+    alertHailMessage: Weather_Alert_Hail_Message,
+    alertPrecipMessage: Weather_Alert_Precip_Message,
+    alertNow: Weather_Alert_Now,
+    alertFrom: Weather_Alert_From,
+    alertOn: Weather_Alert_On,
+    unitSettings: Weather_Unit_Settings,
+    distance: Weather_Distance,
+    beaufort: Weather_Beaufort,
+    beaufortForce: Weather_Beaufort_Force,
+    recordReadError: Weather_Record_Read_Error,
+    recordNoLocation: Weather_Record_No_Location,
+    flowNext: Weather_Flow_Next,
+    flowFinish: Weather_Flow_Finish,
+    flowNotReady: Weather_Flow_Not_Ready
+};
+
+/**
+ * Replaces {0}, {1}… in a label with the given values, like String.format in Apex.
+ */
+export function formatLabel(label, ...values) {
+    return String(label).replace(/\{(\d+)\}/g, (match, index) => (values[index] === undefined ? match : values[index]));
+}
@@ -0,0 +1,79 @@
+/**
+ * @description Last successful forecast per location, kept in localStorage so the
+ * component has something to show when a callout fails, even after the browser
+ * was closed. Uses the same coordinate ids and query aliases as forecastCache,
+ * but unlike the cache it is only read after a failure.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { coordsCacheKey, compactResult } from './forecastCache';
+
+const STORAGE_KEY = 'weather_last_known_forecasts';
+// Full results with hourly data are large; a handful of places fits easily in the quota
+const MAX_ENTRIES = 10;
+
+function load() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            return { aliases: parsed.aliases || {}, entries: parsed.entries || {} };
+        }
+    } catch (e) {
+        console.error('Error loading last known forecasts', e);
+    }
+    return { aliases: {}, entries: {} };
+}
+
+function persist(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (e) {
+        console.error('Error saving last known forecasts', e);
+    }
+}
+
+function prune(store) {
+    const ids = Object.keys(store.entries);
+    if (ids.length > MAX_ENTRIES) {
+        ids.sort((a, b) => store.entries[a].fetchedAt - store.entries[b].fetchedAt)
+            .slice(0, ids.length - MAX_ENTRIES)
+            .forEach((id) => delete store.entries[id]);
+    }
+    Object.keys(store.aliases).forEach((alias) => {
+        if (!store.entries[store.aliases[alias]]) {
+            delete store.aliases[alias];
+        }
+    });
+}
+
+/**
+ * Remembers a successful WeatherResult under its coordinates plus any query aliases,
+ * trimmed like a cache entry.
+ */
+export function saveLastKnown(result, aliasKeys = []) {
+    if (!result || !result.success || result.lat === null || result.lat === undefined) return;
+
+    const store = load();
+    const id = coordsCacheKey(result.lat, result.lon);
+    store.entries[id] = { result: compactResult(result), fetchedAt: Date.now() };
+    aliasKeys.filter((key) => key && key !== id).forEach((key) => {
+        store.aliases[key] = id;
+    });
+    prune(store);
+    persist(store);
+}
+
+/**
+ * Returns { result, fetchedAt } for a query or coordinate key, or null when
+ * nothing was saved or it is older than maxAgeMs.
+ */
+export function readLastKnown(key, maxAgeMs) {
+    if (!key || !(maxAgeMs > 0)) return null;
+    const store = load();
+    const id = key.startsWith('q:') ? store.aliases[key] : key;
+    const entry = id ? store.entries[id] : null;
+    if (!entry || Date.now() - entry.fetchedAt > maxAgeMs) return null;
+    return entry;
+}
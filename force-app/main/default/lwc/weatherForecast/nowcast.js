@@ -0,0 +1,80 @@
+/**
+ * @description Summarizes Open-Meteo's 15-minutely precipitation for the next
+ * two hours: whether rain or snow is about to start, stop or keep going, plus an
+ * intensity level per step for the bar under the hero description.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS, formatLabel } from './labels';
+
+export const NOWCAST_STEPS = 8;
+const STEP_SECONDS = 900;
+// Less than this per step is trace precipitation and counts as dry
+const WET_THRESHOLD_MM = 0.1;
+// Rain-rate bands in mm/h: light below 2.5, moderate below 7.6, heavy from there
+const INTENSITY_BANDS_MM_PER_HOUR = [2.5, 7.6];
+// Open-Meteo reports snowfall in cm; 7 cm of snow is about 10 mm of water
+const SNOW_CM_TO_WATER_MM = 10 / 7;
+const MINUTES_ROUNDING = 5;
+
+/**
+ * @param {Number} mm precipitation over one 15-minute step
+ * @returns {Number} 0 (dry), 1 (light), 2 (moderate) or 3 (heavy)
+ */
+export function intensityLevel(mm) {
+    if (!(mm >= WET_THRESHOLD_MM)) return 0;
+    const ratePerHour = mm * (3600 / STEP_SECONDS);
+    return 1 + INTENSITY_BANDS_MM_PER_HOUR.filter((band) => ratePerHour >= band).length;
+}
+
+// Snow when at least half of the water falls as snow
+function isSnow(step, precipitation) {
+    return (Number(step.snowfall) || 0) * SNOW_CM_TO_WATER_MM >= precipitation / 2;
+}
+
+function minutesUntil(timestamp, nowSeconds) {
+    const minutes = Math.round((timestamp - nowSeconds) / 60 / MINUTES_ROUNDING) * MINUTES_ROUNDING;
+    return Math.max(MINUTES_ROUNDING, minutes);
+}
+
+/**
+ * @param {Array} steps WeatherResult.nowcast, each step keyed by the end of its 15 minutes
+ * @param {Number} nowSeconds current unix time
+ * @returns {Object|null} { summary, steps: [{ timeUnix, precipitation, level, snow }] } with
+ *   timeUnix at the start of each step, or null when the data doesn't cover the next two hours
+ */
+export function buildNowcast(steps, nowSeconds) {
+    const upcoming = (steps || []).filter((step) => step.timeUnix > nowSeconds).slice(0, NOWCAST_STEPS);
+    if (upcoming.length < NOWCAST_STEPS || upcoming[0].timeUnix - STEP_SECONDS > nowSeconds) return null;
+
+    const decorated = upcoming.map((step) => {
+        const precipitation = Number(step.precipitation) || 0;
+        const level = intensityLevel(precipitation);
+        return {
+            timeUnix: step.timeUnix - STEP_SECONDS,
+            precipitation,
+            level,
+            snow: level > 0 && isSnow(step, precipitation)
+        };
+    });
+
+    const wetNow = decorated[0].level > 0;
+    const changeIndex = decorated.findIndex((step) => step.level > 0 !== wetNow);
+    let summary;
+    if (!wetNow && changeIndex === -1) {
+        summary = LABELS.nowcastDry;
+    } else if (changeIndex === -1) {
+        summary = decorated[0].snow ? LABELS.nowcastSnowContinuing : LABELS.nowcastRainContinuing;
+    } else {
+        const minutes = minutesUntil(decorated[changeIndex].timeUnix, nowSeconds);
+        if (wetNow) {
+            summary = formatLabel(decorated[0].snow ? LABELS.nowcastSnowEnding : LABELS.nowcastRainEnding, minutes);
+        } else {
+            const snow = decorated[changeIndex].snow;
+            summary = formatLabel(snow ? LABELS.nowcastSnowStarting : LABELS.nowcastRainStarting, minutes);
+        }
+    }
+
+    return { summary, steps: decorated };
+}
@@ -0,0 +1,131 @@
+/**
+ * @description Unit preferences and conversions. Apex always reports °C, m/s,
+ * hPa, metres and millimetres; every displayed value goes through one of the
+ * converters here so each quantity can follow its own preference.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+
+export const UNIT_OPTIONS = {
+    temperature: ['C', 'F'],
+    wind: ['kmh', 'ms', 'mph', 'kn', 'bft'],
+    pressure: ['hPa', 'inHg', 'mmHg'],
+    distance: ['km', 'mi'],
+    precipitation: ['mm', 'in']
+};
+
+export const UNIT_SYMBOLS = {
+    C: '°C',
+    F: '°F',
+    kmh: 'km/h',
+    ms: 'm/s',
+    mph: 'mph',
+    kn: 'kn',
+    bft: 'Bft',
+    hPa: 'hPa',
+    inHg: 'inHg',
+    mmHg: 'mmHg',
+    km: 'km',
+    mi: 'mi',
+    mm: 'mm',
+    in: 'in'
+};
+
+// Decimals shown per unit; Beaufort forces are whole numbers
+export const UNIT_DECIMALS = {
+    kmh: 0, ms: 1, mph: 1, kn: 0, bft: 0,
+    hPa: 0, inHg: 2, mmHg: 0,
+    km: 1, mi: 1,
+    mm: 1, in: 2
+};
+
+const METRIC_UNITS = { temperature: 'C', wind: 'ms', pressure: 'hPa', distance: 'km', precipitation: 'mm' };
+const IMPERIAL_UNITS = { temperature: 'F', wind: 'mph', pressure: 'inHg', distance: 'mi', precipitation: 'in' };
+
+// Upper bounds in m/s for Beaufort forces 0–11; anything faster is force 12
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+/**
+ * @param {Boolean} imperial whether the component is configured for imperial units
+ * @returns {Object} { temperature, wind, pressure, distance, precipitation }
+ */
+export function defaultUnits(imperial) {
+    return { ...(imperial ? IMPERIAL_UNITS : METRIC_UNITS) };
+}
+
+/**
+ * Fills in anything missing or unknown in stored preferences from the defaults,
+ * so preferences saved before a quantity existed keep working.
+ */
+export function normalizeUnits(stored, defaults) {
+    const units = { ...defaults };
+    Object.keys(UNIT_OPTIONS).forEach((quantity) => {
+        if (stored && UNIT_OPTIONS[quantity].includes(stored[quantity])) {
+            units[quantity] = stored[quantity];
+        }
+    });
+    return units;
+}
+
+export function convertTemperature(celsius, unit) {
+    return unit === 'F' ? (celsius * 9) / 5 + 32 : celsius;
+}
+
+export function convertSpeed(ms, unit) {
+    switch (unit) {
+        case 'kmh':
+            return ms * 3.6;
+        case 'mph':
+            return ms * 2.23694;
+        case 'kn':
+            return ms * 1.94384;
+        case 'bft': {
+            const force = BEAUFORT_LIMITS.findIndex((limit) => ms < limit);
+            return force === -1 ? BEAUFORT_LIMITS.length : force;
+        }
+        default:
+            return ms;
+    }
+}
+
+export function convertPressure(hPa, unit) {
+    if (unit === 'inHg') return hPa * 0.02953;
+    if (unit === 'mmHg') return hPa * 0.750062;
+    return hPa;
+}
+
+export function convertDistance(km, unit) {
+    return unit === 'mi' ? km * 0.621371 : km;
+}
+
+export function convertPrecipitation(mm, unit) {
+    return unit === 'in' ? mm / 25.4 : mm;
+}
+
+// Inverses for values the user types in their own units, e.g. planner limits
+
+export function toCelsius(value, unit) {
+    return unit === 'F' ? ((value - 32) * 5) / 9 : value;
+}
+
+/**
+ * A Beaufort force converts to the top of its band, so "up to force 4" keeps
+ * every speed that still counts as force 4.
+ */
+export function toMetresPerSecond(value, unit) {
+    switch (unit) {
+        case 'kmh':
+            return value / 3.6;
+        case 'mph':
+            return value / 2.23694;
+        case 'kn':
+            return value / 1.94384;
+        case 'bft': {
+            const force = Math.max(0, Math.round(value));
+            return force < BEAUFORT_LIMITS.length ? BEAUFORT_LIMITS[force] : Number.MAX_VALUE;
+        }
+        default:
+            return value;
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * @description Severe-weather rules evaluated against a WeatherResult.
+ * Each rule scans current conditions, then the hourly rows, then the daily
+ * rows, and reports at most one alert: the first time its threshold is
+ * crossed plus the peak value. Values stay in the Apex units (°C, m/s, %) so
+ * the component can format them for the active unit system.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+
+export const DEFAULT_THRESHOLDS = {
+    heatIndex: 32,
+    freezing: 0,
+    windSpeed: 17,
+    precipChance: 80
+};
+
+export const SEVERITY_ORDER = { severe: 0, warning: 1, advisory: 2 };
+
+const THUNDERSTORM_MIN_CODE = 95;
+const THUNDERSTORM_MAX_CODE = 99;
+const HAIL_CODES = [96, 99];
+const HEAT_SEVERE_MARGIN = 8;
+const FREEZE_SEVERE_MARGIN = 10;
+const WIND_SEVERE_FACTOR = 1.5;
+
+function isNumber(value) {
+    return value !== null && value !== undefined && !Number.isNaN(Number(value));
+}
+
+/**
+ * NOAA Rothfusz regression. Below 80°F, or without humidity, the heat index
+ * is just the air temperature.
+ * @param {Number} celsius air temperature
+ * @param {Number} humidity relative humidity in %
+ * @returns {Number|null} heat index in °C
+ */
+export function heatIndex(celsius, humidity) {
+    if (!isNumber(celsius)) return null;
+    const f = (celsius * 9) / 5 + 32;
+    if (!isNumber(humidity) || f < 80) return Number(celsius);
+    const rh = Number(humidity);
+    const hi = -42.379 + 2.04901523 * f + 10.14333127 * rh - 0.22475541 * f * rh
+        - 0.00683783 * f * f - 0.05481717 * rh * rh + 0.00122874 * f * f * rh
+        + 0.00085282 * f * rh * rh - 0.00000199 * f * f * rh * rh;
+    return ((hi - 32) * 5) / 9;
+}
+
+// Flattens current/hourly/daily into one chronological list of comparable samples
+function toSamples(result) {
+    const samples = [];
+    const current = result.current;
+    if (current) {
+        samples.push({
+            source: 'current',
+            timeUnix: null,
+            high: current.temp,
+            low: current.temp,
+            humidity: current.humidity,
+            wind: current.windSpeed,
+            pop: null,
+            weatherCode: current.weatherCode
+        });
+    }
+    (result.hourly || []).forEach((hour) => {
+        samples.push({
+            source: 'hourly',
+            timeUnix: hour.timeUnix,
+            high: hour.temp,
+            low: hour.temp,
+            humidity: hour.humidity,
+            wind: hour.windSpeed,
+            pop: hour.pop,
+            weatherCode: hour.weatherCode
+        });
+    });
+    (result.daily || []).forEach((day) => {
+        samples.push({
+            source: 'daily',
+            timeUnix: day.timeUnix,
+            high: day.tempHigh,
+            low: day.tempLow,
+            humidity: day.humidity,
+            wind: isNumber(day.windGust) ? Math.max(Number(day.windGust), Number(day.windSpeed) || 0) : day.windSpeed,
+            pop: day.pop,
+            weatherCode: day.weatherCode
+        });
+    });
+    return samples;
+}
+
+const RULES = [
+    {
+        type: 'heat',
+        measure: (sample) => heatIndex(sample.high, sample.humidity),
+        crosses: (value, t) => value >= t.heatIndex,
+        isWorse: (value, peak) => value > peak,
+        severity: (peak, t) => (peak >= t.heatIndex + HEAT_SEVERE_MARGIN ? 'severe' : 'warning')
+    },
+    {
+        type: 'freeze',
+        measure: (sample) => (isNumber(sample.low) ? Number(sample.low) : null),
+        crosses: (value, t) => value <= t.freezing,
+        isWorse: (value, peak) => value < peak,
+        severity: (peak, t) => (peak <= t.freezing - FREEZE_SEVERE_MARGIN ? 'severe' : 'warning')
+    },
+    {
+        type: 'wind',
+        measure: (sample) => (isNumber(sample.wind) ? Number(sample.wind) : null),
+        crosses: (value, t) => value >= t.windSpeed,
+        isWorse: (value, peak) => value > peak,
+        severity: (peak, t) => (peak >= t.windSpeed * WIND_SEVERE_FACTOR ? 'severe' : 'warning')
+    },
+    {
+        type: 'thunderstorm',
+        measure: (sample) => (isNumber(sample.weatherCode) ? Number(sample.weatherCode) : null),
+        crosses: (value) => value >= THUNDERSTORM_MIN_CODE && value <= THUNDERSTORM_MAX_CODE,
+        isWorse: (value, peak) => HAIL_CODES.includes(value) && !HAIL_CODES.includes(peak),
+        severity: (peak) => (HAIL_CODES.includes(peak) ? 'severe' : 'warning')
+    },
+    {
+        type: 'precip',
+        measure: (sample) => (isNumber(sample.pop) ? Number(sample.pop) : null),
+        crosses: (value, t) => value >= t.precipChance,
+        isWorse: (value, peak) => value > peak,
+        severity: () => 'advisory'
+    }
+];
+
+/**
+ * @param {Object} result a successful WeatherResult
+ * @param {Object} [thresholds] overrides for DEFAULT_THRESHOLDS (°C, m/s, %)
+ * @returns {Array} alerts ({ key, type, severity, value, source, timeUnix }),
+ * most severe first
+ */
+export function evaluateAlerts(result, thresholds = {}) {
+    if (!result || !result.success) return [];
+
+    const limits = { ...DEFAULT_THRESHOLDS };
+    Object.keys(thresholds).forEach((name) => {
+        if (isNumber(thresholds[name])) limits[name] = Number(thresholds[name]);
+    });
+
+    const samples = toSamples(result);
+    const alerts = [];
+    RULES.forEach((rule) => {
+        let first = null;
+        let peak = null;
+        samples.forEach((sample) => {
+            const value = rule.measure(sample);
+            if (value === null || !rule.crosses(value, limits)) return;
+            if (!first) first = sample;
+            if (peak === null || rule.isWorse(value, peak)) peak = value;
+        });
+        if (first) {
+            const severity = rule.severity(peak, limits);
+            alerts.push({
+                // Stable across refreshes so a dismissal sticks until the alert escalates
+                key: `${rule.type}-${severity}`,
+                type: rule.type,
+                severity,
+                value: peak,
+                source: first.source,
+                timeUnix: first.timeUnix
+            });
+        }
+    });
+
+    return alerts.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
@@ -1,26 +1,265 @@
-import { LightningElement, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
+import LOCALE from '@salesforce/i18n/locale';
+import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { subscribe, unsubscribe, publish, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+import WEATHER_CHANNEL from '@salesforce/messageChannel/WeatherForecast__c';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent, FlowNavigationFinishEvent } from 'lightning/flowSupport';
 import getForecast from '@salesforce/apex/WeatherController.getForecast';
 import getForecastByCoordinates from '@salesforce/apex/WeatherController.getForecastByCoordinates';
+import getForecastForPlace from '@salesforce/apex/WeatherController.getForecastForPlace';
+import searchLocations from '@salesforce/apex/WeatherController.searchLocations';
+import getAirQuality from '@salesforce/apex/WeatherController.getAirQuality';
+import getHistory from '@salesforce/apex/WeatherController.getHistory';
+import { readCache, writeCache, queryCacheKey, coordsCacheKey } from './forecastCache';
+import { saveLastKnown, readLastKnown } from './lastKnownForecast';
+import { ERROR_CODES, isTransientError, fetchWithRetry } from './forecastRetry';
+import { buildCsv, buildJson, buildIcs, exportFileName } from './forecastExport';
+import { usAqiCategory, europeanAqiCategory, uvIndexCategory } from './airQuality';
+import { buildNowcast } from './nowcast';
+import { YESTERDAY_PHRASES, NORMAL_PHRASES, describeDifference, buildTemperatureTrend } from './weatherHistory';
+import { ACTIVITY_PROFILES, CUSTOM_PROFILE_ID, normalizeCustomProfile, findActivityWindows } from './activityPlanner';
+import { buildHourlyChart } from './hourlyChart';
+import { sunTimes, moonPhase, moonTimes, sunPosition, arcPath } from './astronomy';
+import { evaluateAlerts, DEFAULT_THRESHOLDS } from './weatherAlerts';
+import { LABELS, formatLabel } from './labels';
+import { describeWeather, describeGroup } from './wmoDescriptions';
+import {
+    UNIT_OPTIONS,
+    UNIT_SYMBOLS,
+    UNIT_DECIMALS,
+    defaultUnits,
+    normalizeUnits,
+    convertTemperature,
+    convertSpeed,
+    convertPressure,
+    convertDistance,
+    convertPrecipitation,
+    toCelsius,
+    toMetresPerSecond
+} from './units';
 
 const ICON_BASE_URL = 'https://openweathermap.org/img/wn/';
 const ICON_SUFFIX = '@2x.png';
 const RECENT_SEARCHES_KEY = 'weather_recent_searches';
+const FAVORITES_KEY = 'weather_favorite_locations';
+const CLOCK_FORMAT_KEY = 'weather_clock_format';
+const UNIT_PREFERENCES_KEY = 'weather_unit_preferences';
+const ACTIVITY_PLANNER_KEY = 'weather_activity_planner';
+const FORECAST_RANGE_KEY = 'weather_forecast_range';
+// One tick drives both the hero clock and the auto-refresh check
+const TICK_MS = 60000;
+// Cached forecasts older than the TTL are still shown instantly while a
+// background refresh runs, up to this age; beyond it they count as a miss.
+const CACHE_MAX_STALE_MS = 6 * 60 * 60 * 1000;
+const MAX_FAVORITES = 8;
+const SUGGESTION_DEBOUNCE_MS = 300;
+const MIN_SUGGESTION_QUERY_LENGTH = 2;
+// Selectable ranges: forecast days, and how many hours the hourly strip covers
+const FORECAST_RANGES = [
+    { days: 7, hours: 48 },
+    { days: 14, hours: 72 },
+    { days: 16, hours: 96 }
+];
+const DAYS_PER_PAGE = 7;
+const HOURS_PER_PAGE = 24;
+// Day indexes from which forecast cards are drawn as less certain
+const MEDIUM_CONFIDENCE_FROM_DAY = 7;
+const LOW_CONFIDENCE_FROM_DAY = 10;
+const HOURLY_CHART_HOURS = 48;
+const SECONDS_PER_DAY = 86400;
+const MESSAGE_SET_LOCATION = 'setLocation';
+const MESSAGE_WEATHER_SUMMARY = 'weatherSummary';
+const ALERT_ICONS = { heat: '🔥', freeze: '❄️', wind: '🌬', thunderstorm: '⛈', precip: '🌧' };
+const ALERT_TITLES = {
+    heat: LABELS.alertHeat,
+    freeze: LABELS.alertFreeze,
+    wind: LABELS.alertWind,
+    thunderstorm: LABELS.alertThunderstorm,
+    precip: LABELS.alertPrecip
+};
+const ERROR_MESSAGES = {
+    [ERROR_CODES.NOT_FOUND]: LABELS.errorNotFound,
+    [ERROR_CODES.INVALID_INPUT]: LABELS.errorInvalidInput,
+    [ERROR_CODES.TIMEOUT]: LABELS.errorTimeout,
+    [ERROR_CODES.RATE_LIMITED]: LABELS.errorRateLimited,
+    [ERROR_CODES.UPSTREAM_HTTP]: LABELS.errorUpstream
+};
+const MICROGRAMS_PER_CUBIC_METRE = 'µg/m³';
+const EXPORT_MIME_TYPES = { csv: 'text/csv', json: 'application/json', ics: 'text/calendar' };
+// Sixteen points starting at north; N, E, S and W double as hemisphere letters
+const COMPASS_POINTS = LABELS.compassPoints.split(',');
+const UNIT_SYSTEM_IMPERIAL = 'Imperial';
+const UNIT_QUANTITY_LABELS = {
+    temperature: LABELS.temperature,
+    wind: LABELS.wind,
+    pressure: LABELS.pressure,
+    distance: LABELS.distance,
+    precipitation: LABELS.precipitation
+};
+// Address components that geocode well; street lines are left out because
+// house numbers can look like zip codes to the controller.
+const ADDRESS_COMPONENTS = ['City', 'PostalCode'];
 
 export default class WeatherForecast extends LightningElement {
-    @track searchQuery = 'McKinney 75070';
+    // ─── App Builder Properties ──────────────────────
+    // Defaults mirror weatherForecast.js-meta.xml so targets without
+    // design attributes (lightning__Tab) behave the same way.
+    @api defaultLocation = 'McKinney 75070';
+    @api defaultUnitSystem = UNIT_SYSTEM_IMPERIAL;
+    @api disableAutoSearch = false;
+    @api hideHourly = false;
+    @api hideDaily = false;
+    @api compactLayout = false;
+    @api cacheTtlMinutes = 10;
+    @api refreshIntervalMinutes = 0;
+    @api fallbackMaxAgeHours = 24;
+    @api defaultForecastDays = FORECAST_RANGES[0].days;
+
+    // ─── Alert Thresholds (°C, m/s, %) ───────────────
+    @api disableAlerts = false;
+    @api alertHeatIndex = DEFAULT_THRESHOLDS.heatIndex;
+    @api alertFreezingTemp = DEFAULT_THRESHOLDS.freezing;
+    @api alertWindSpeed = DEFAULT_THRESHOLDS.windSpeed;
+    @api alertPrecipChance = DEFAULT_THRESHOLDS.precipChance;
+
+    // ─── Flow Screen Properties ──────────────────────
+    // Outputs are owned by the Flow runtime and updated through FlowAttributeChangeEvent
+    @api availableActions = [];
+    @api currentTemperature;
+    @api conditions;
+    @api weatherCode;
+    @api precipitationProbability;
+
+    @api
+    validate() {
+        if (this.hasWeatherData) {
+            return { isValid: true };
+        }
+        return { isValid: false, errorMessage: LABELS.flowNotReady };
+    }
+
+    // ─── Record Page Properties ──────────────────────
+    @api recordId;
+    @api objectApiName;
+    @api addressField;
+    @api geolocationField;
+
+    labels = LABELS;
+
+    @track searchQuery = '';
     @track weatherData = null;
     @track isLoading = false;
     @track errorMessage = '';
+    // WeatherResult.errorCode behind errorMessage; picks the action offered with it
+    @track errorCode = null;
     @track selectedDayIndex = null;
+    // One of FORECAST_RANGES[].days; the user's pick is kept in local storage
+    @track forecastDays = FORECAST_RANGES[0].days;
+    @track dayPage = 0;
+    @track hourPage = 0;
     
-    @track isFahrenheit = true;
+    // Display unit per quantity; see units.js
+    @track units = defaultUnits(true);
+    @track isUnitSettingsOpen = false;
+    @track isExportMenuOpen = false;
+    @track is24Hour = false;
+    @track now = Date.now();
+    @track isFromCache = false;
+    @track isRefreshing = false;
+    @track lastUpdated = null;
+    // fetchedAt of the forecast on screen when the latest callout for it failed
+    @track refreshFailedAt = null;
+    @track activeChartIndex = null;
     @track recentSearches = [];
-    @track showRecentSearches = false;
+    @track isDropdownOpen = false;
+    @track suggestions = [];
+    // Index into suggestions followed by recent searches, as one combobox list
+    @track activeOptionIndex = -1;
     @track dynamicBackgroundClass = 'bg-default';
 
+    @track favorites = [];
+    @track showComparison = false;
+    @track comparisonRows = [];
+
+    // AirQualityResult for the location on screen; null hides the panel
+    @track airQuality = null;
+    // HistoryResult for the location on screen; null hides the comparisons
+    @track history = null;
+
+    @track activityProfileId = ACTIVITY_PROFILES[0].id;
+    // Limits of the user's own profile, metric like the built-in ones
+    @track customProfile = normalizeCustomProfile(null);
+
+    @track alerts = [];
+    @track dismissedAlertKeys = [];
+
+    @track recordLocationNotice = '';
+    _recordLocationKey = null;
+
+    _suggestionTimer;
+    _suggestionRequestId = 0;
+    // Bumped by every forecast request; responses carrying an older id are dropped
+    _forecastRequestId = 0;
+    _lastForecastRequest = null;
+    // The result on screen before decoration, for the JSON export
+    _normalizedResult = null;
+    _airQualityRequestId = 0;
+    _airQualityKey = null;
+    _airQualityFetchedAt = 0;
+    _historyRequestId = 0;
+    _historyKey = null;
+    _historyFetchedAt = 0;
+    _tickTimer;
+    _alertSignature = '';
+    _channelSubscription = null;
+
+    @wire(MessageContext) messageContext;
+    _visibilityHandler;
+    // Mutated in place (never reassigned) so caching during render stays non-reactive
+    _chartMemo = {};
+    _astronomyMemo = {};
+
     connectedCallback() {
+        this.loadUnitPreferences();
         this.loadRecentSearches();
-        this.handleSearch();
+        this.loadFavorites();
+        this.loadClockFormat();
+        this.loadActivityPlanner();
+        this.loadForecastRange();
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._tickTimer = setInterval(() => this.handleTick(), TICK_MS);
+        this._visibilityHandler = () => this.handleVisibilityChange();
+        document.addEventListener('visibilitychange', this._visibilityHandler);
+        this.subscribeToChannel();
+
+        // In record mode the record's location drives the first search (see wiredRecord)
+        if (this.isRecordMode) return;
+
+        this.searchQuery = this.defaultLocation || '';
+        if (!this.disableAutoSearch) {
+            this.handleSearch();
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._suggestionTimer);
+        clearInterval(this._tickTimer);
+        // Stops pending retries
+        this._forecastRequestId++;
+        document.removeEventListener('visibilitychange', this._visibilityHandler);
+        unsubscribe(this._channelSubscription);
+        this._channelSubscription = null;
+    }
+
+    @wire(getRecord, { recordId: '$recordId', optionalFields: '$recordFields' })
+    wiredRecord({ data, error }) {
+        if (data) {
+            this.applyRecordLocation(data);
+        } else if (error) {
+            this._recordLocationKey = null;
+            this.recordLocationNotice = LABELS.recordReadError;
+        }
     }
 
     // ─── Computed Properties ─────────────────────────
@@ -29,8 +268,168 @@ export default class WeatherForecast extends LightningElement {
     get hasWeatherData() { return this.weatherData && this.weatherData.current && !this.isLoading && !this.errorMessage; }
     get hasForecast() { return this.weatherData && this.weatherData.daily && this.weatherData.daily.length > 0; }
     get hasHourly() { return this.weatherData && this.weatherData.hourly && this.weatherData.hourly.length > 0; }
-    get showContent() { return this.hasWeatherData || this.isLoading || this.errorMessage; }
+    get showHourlySection() { return !this.hideHourly && this.hasHourly; }
+    get hourlyStrip() {
+        if (!this.hasHourly) return [];
+        const windows = this.activityWindows;
+        const matchTitle = formatLabel(LABELS.plannerMatch, this.activityProfile.label);
+        const start = this._hourPageIndex * HOURS_PER_PAGE;
+        return this._stripHours.slice(start, start + HOURS_PER_PAGE).map((hour) => {
+            const rank = windows.findIndex((timeWindow) => hour.timeUnix >= timeWindow.start && hour.timeUnix < timeWindow.end);
+            return {
+                ...hour,
+                cardClass: rank === -1 ? 'hourly-card' : `hourly-card planner-match${rank === 0 ? ' planner-best' : ''}`,
+                plannerTitle: rank === -1 ? null : matchTitle
+            };
+        });
+    }
+
+    get hourlyChart() {
+        if (!this.hasHourly) return null;
+        // The template reads this getter many times per render; rebuild only when an input changes
+        const hourly = this.weatherData.hourly;
+        const settings = `${this.units.temperature}|${this.is24Hour}|${this.weatherData.timezone}`;
+        const memo = this._chartMemo;
+        if (memo.hourly !== hourly || memo.settings !== settings) {
+            memo.hourly = hourly;
+            memo.settings = settings;
+            memo.chart = buildHourlyChart(hourly.slice(0, HOURLY_CHART_HOURS), {
+                convertTemp: (celsius) => this._convertTemp(celsius),
+                labelHour: (timestamp) => this._formatHourLabel(timestamp)
+            });
+        }
+        return memo.chart;
+    }
+
+    get hasHourlyChart() { return !!this.hourlyChart; }
+    get hourlyChartTitle() { return this.hasHourlyChart ? formatLabel(LABELS.chartTitle, this.hourlyChart.points.length) : ''; }
+
+    get activeChartPoint() {
+        const chart = this.hourlyChart;
+        if (!chart || this.activeChartIndex === null) return null;
+        const point = chart.points[this.activeChartIndex];
+        if (!point) return null;
+        // Keep the tooltip inside the chart near either edge
+        const left = Math.min(Math.max(point.leftPercent, 12), 88);
+        return {
+            ...point,
+            hasFeelsLike: point.feelsLike !== null,
+            hasPop: point.pop !== null,
+            feelsLikeLabel: formatLabel(LABELS.feelsLike, `${point.feelsLike}${this.tempUnit}`),
+            style: `left: ${left}%;`
+        };
+    }
+    get showDailySection() { return !this.hideDaily && this.hasForecast; }
+
+    get forecastRangeOptions() {
+        return FORECAST_RANGES.map((range) => {
+            const active = range.days === this.forecastDays;
+            return {
+                days: range.days,
+                label: formatLabel(LABELS.forecastRangeOption, range.days),
+                title: formatLabel(LABELS.forecastRangeTitle, range.days, range.hours),
+                pressed: String(active),
+                className: active ? 'range-option active' : 'range-option'
+            };
+        });
+    }
+
+    get hourlyTitle() { return formatLabel(LABELS.hourlyForecast, this._stripHours.length); }
+
+    get hourPageCount() { return Math.ceil(this._stripHours.length / HOURS_PER_PAGE); }
+    get hasHourPages() { return this.hourPageCount > 1; }
+    get isFirstHourPage() { return this._hourPageIndex === 0; }
+    get isLastHourPage() { return this._hourPageIndex >= this.hourPageCount - 1; }
+
+    get hourPageStatus() {
+        const start = this._hourPageIndex * HOURS_PER_PAGE;
+        const total = this._stripHours.length;
+        return formatLabel(LABELS.hourPageStatus, start + 1, Math.min(start + HOURS_PER_PAGE, total), total);
+    }
+
+    // Cards for the current page of days; data-index stays the index into weatherData.daily
+    get dailyCards() {
+        if (!this.hasForecast) return [];
+        const start = this._dayPageIndex * DAYS_PER_PAGE;
+        return this.weatherData.daily.slice(start, start + DAYS_PER_PAGE).map((day, offset) => {
+            const index = start + offset;
+            const confidence = this._confidenceLabel(index);
+            return {
+                ...day,
+                index,
+                cardClass: confidence ? `forecast-card confidence-${confidence.level}` : 'forecast-card',
+                confidenceLabel: confidence ? confidence.label : null,
+                confidenceTitle: confidence ? LABELS.confidenceNote : null
+            };
+        });
+    }
+
+    get dayPageCount() { return this.hasForecast ? Math.ceil(this.weatherData.daily.length / DAYS_PER_PAGE) : 0; }
+    get hasDayPages() { return this.dayPageCount > 1; }
+    get isFirstDayPage() { return this._dayPageIndex === 0; }
+    get isLastDayPage() { return this._dayPageIndex >= this.dayPageCount - 1; }
+
+    get dayPageStatus() {
+        const start = this._dayPageIndex * DAYS_PER_PAGE;
+        const total = this.weatherData.daily.length;
+        return formatLabel(LABELS.dayPageStatus, start + 1, Math.min(start + DAYS_PER_PAGE, total), total);
+    }
+
+    get showConfidenceNote() { return this.hasForecast && this.weatherData.daily.length > MEDIUM_CONFIDENCE_FROM_DAY; }
+
+    get selectedDayConfidence() {
+        const confidence = this.selectedDay ? this._confidenceLabel(this.selectedDayIndex) : null;
+        return confidence ? confidence.label : null;
+    }
+    get appClass() { return this.compactLayout ? 'weather-app compact' : 'weather-app'; }
+    get showContent() { return this.hasWeatherData || this.isLoading || this.errorMessage || this.showComparison; }
+    get showWeatherContent() { return this.hasWeatherData && !this.showComparison; }
+    get isRecordMode() { return !!this.recordId && !!(this.addressField || this.geolocationField); }
+    get isFlowScreen() { return Array.isArray(this.availableActions) && this.availableActions.length > 0; }
+    get flowFinishes() { return !this.availableActions.includes('NEXT') && this.availableActions.includes('FINISH'); }
+    get showFlowNavigation() { return this.isFlowScreen && (this.availableActions.includes('NEXT') || this.flowFinishes); }
+    get flowNextLabel() { return this.flowFinishes ? LABELS.flowFinish : LABELS.flowNext; }
+    get flowNextDisabled() { return !this.hasWeatherData; }
+    get welcomeMessage() { return this.recordLocationNotice || LABELS.welcome; }
+
+    get recordFields() {
+        if (!this.isRecordMode || !this.objectApiName) return undefined;
+        return [...this._geolocationFieldNames(), ...this._addressFieldNames()]
+            .map((field) => `${this.objectApiName}.${field}`);
+    }
+
     get hasRecentSearches() { return this.recentSearches.length > 0; }
+    get hasSuggestions() { return this.suggestions.length > 0; }
+    get showSearchDropdown() { return this.isDropdownOpen && (this.hasSuggestions || this.hasRecentSearches); }
+    get searchExpanded() { return this.showSearchDropdown ? 'true' : 'false'; }
+    get dropdownOptionCount() { return this.showSearchDropdown ? this.suggestions.length + this.recentSearches.length : 0; }
+
+    get activeOptionId() {
+        return this.showSearchDropdown && this.activeOptionIndex >= 0 ? `search-option-${this.activeOptionIndex}` : null;
+    }
+
+    get suggestionOptions() {
+        return this.suggestions.map((place, index) => this._decorateOption({ ...place }, index, 'suggestion-item'));
+    }
+
+    get recentSearchOptions() {
+        const offset = this.suggestions.length;
+        return this.recentSearches.map((query, index) => this._decorateOption({ key: query, query }, offset + index, 'recent-item'));
+    }
+    get hasFavorites() { return this.favorites.length > 0; }
+    get favoriteCount() { return this.favorites.length; }
+    get compareButtonLabel() { return `★ ${formatLabel(LABELS.favoritesCount, this.favoriteCount)}`; }
+
+    get isCurrentFavorite() {
+        if (!this.weatherData) return false;
+        const key = this._favoriteKey(this.weatherData.lat, this.weatherData.lon);
+        return this.favorites.some((fav) => fav.key === key);
+    }
+
+    get favoriteIcon() { return this.isCurrentFavorite ? '★' : '☆'; }
+    get favoriteButtonTitle() { return this.isCurrentFavorite ? LABELS.removeFavorite : LABELS.addFavorite; }
+    get favoriteButtonClass() { return this.isCurrentFavorite ? 'favorite-btn active' : 'favorite-btn'; }
+    get favoriteButtonDisabled() { return !this.isCurrentFavorite && this.favorites.length >= MAX_FAVORITES; }
 
     get selectedDay() {
         if (this.selectedDayIndex !== null && this.weatherData && this.weatherData.daily) {
@@ -39,6 +438,37 @@ export default class WeatherForecast extends LightningElement {
         return null;
     }
 
+    get isFirstDay() { return this.selectedDayIndex === 0; }
+    get isLastDay() { return !this.hasForecast || this.selectedDayIndex >= this.weatherData.daily.length - 1; }
+
+    get selectedDayHours() {
+        const day = this.selectedDay;
+        if (!day || !day.timeUnix || !this.hasHourly) return [];
+        // End at the next day's midnight rather than +24h so DST days keep their 23 or 25 hours
+        const nextDay = this.weatherData.daily[this.selectedDayIndex + 1];
+        const end = nextDay?.timeUnix || day.timeUnix + SECONDS_PER_DAY;
+        return this.weatherData.hourly.filter((hour) => hour.timeUnix >= day.timeUnix && hour.timeUnix < end);
+    }
+
+    get hasSelectedDayHours() { return this.selectedDayHours.length > 0; }
+    // Cached forecasts keep only the first week of hours
+    get selectedDayHoursUnavailable() { return this.hasHourly && !this.hasSelectedDayHours; }
+
+    get visibleAlerts() {
+        const locationKey = this._alertLocationKey;
+        return this.alerts
+            .filter((alert) => !this.dismissedAlertKeys.includes(`${locationKey}|${alert.key}`))
+            .map((alert) => ({
+                ...alert,
+                icon: ALERT_ICONS[alert.type],
+                title: ALERT_TITLES[alert.type],
+                message: this._describeAlert(alert),
+                className: `alert-item alert-${alert.severity}`
+            }));
+    }
+
+    get hasVisibleAlerts() { return this.visibleAlerts.length > 0; }
+
     get locationDisplay() {
         if (!this.weatherData) return '';
         const name = this.weatherData.locationName || '';
@@ -46,13 +476,24 @@ export default class WeatherForecast extends LightningElement {
         return country ? `${name}, ${country}` : name;
     }
 
+    // Makes it visible which country an ambiguous code like 75001 was looked up in
+    get postalCodeDisplay() {
+        const { postalCode, country } = this.weatherData || {};
+        if (!postalCode) return '';
+        return formatLabel(LABELS.postalCodeIn, postalCode, this._countryName(country));
+    }
+
     get coordsDisplay() {
         if (!this.weatherData || !this.weatherData.lat) return '';
-        return `${Number(this.weatherData.lat).toFixed(2)}°N, ${Math.abs(Number(this.weatherData.lon)).toFixed(2)}°${Number(this.weatherData.lon) >= 0 ? 'E' : 'W'}`;
+        const lat = Number(this.weatherData.lat);
+        const lon = Number(this.weatherData.lon);
+        const latHemisphere = lat >= 0 ? COMPASS_POINTS[0] : COMPASS_POINTS[8];
+        const lonHemisphere = lon >= 0 ? COMPASS_POINTS[4] : COMPASS_POINTS[12];
+        return `${this._formatDecimal(Math.abs(lat), 2)}°${latHemisphere}, ${this._formatDecimal(Math.abs(lon), 2)}°${lonHemisphere}`;
     }
 
-    get tempUnit() { return this.isFahrenheit ? '°F' : '°C'; }
-    get speedUnit() { return this.isFahrenheit ? 'mph' : 'm/s'; }
+    get isFahrenheit() { return this.units.temperature === 'F'; }
+    get tempUnit() { return UNIT_SYMBOLS[this.units.temperature]; }
     get celsiusClass() { return this.isFahrenheit ? 'unit-label' : 'unit-label active'; }
     get fahrenheitClass() { return this.isFahrenheit ? 'unit-label active' : 'unit-label'; }
 
@@ -74,52 +515,433 @@ export default class WeatherForecast extends LightningElement {
     }
     
     get selectedDayWind() {
-        return this._formatSpeed(this.selectedDay?.windSpeed);
+        const speed = this._formatSpeed(this.selectedDay?.windSpeed);
+        const direction = this._formatDirection(this.selectedDay?.windDirection);
+        return direction && speed !== '--' ? `${speed} ${direction}` : speed;
+    }
+
+    get selectedDayGust() { return this._formatSpeed(this.selectedDay?.windGust); }
+    get selectedDayHumidity() { return this._formatPercent(this.selectedDay?.humidity); }
+    get selectedDayPrecip() { return this._formatPrecip(this.selectedDay?.precipitationSum); }
+    get selectedDaySunrise() { return this._formatUnixTime(this.selectedDay?.sunrise); }
+    get selectedDaySunset() { return this._formatUnixTime(this.selectedDay?.sunset); }
+
+    get selectedDayUv() {
+        const uv = this.selectedDay?.uvIndexMax;
+        return uv === null || uv === undefined ? '--' : Math.round(uv);
     }
 
     get visibilityDisplay() {
         if (!this.weatherData?.current?.visibility) return '--';
-        const km = (this.weatherData.current.visibility / 1000).toFixed(1);
-        if (this.isFahrenheit) {
-            return `${(km * 0.621371).toFixed(1)} mi`;
-        }
-        return `${km} km`;
+        const unit = this.units.distance;
+        return this._formatMeasure(convertDistance(this.weatherData.current.visibility / 1000, unit), unit);
+    }
+
+    get pressureDisplay() {
+        const pressure = this.weatherData?.current?.pressure;
+        if (pressure === null || pressure === undefined) return '--';
+        const unit = this.units.pressure;
+        return this._formatMeasure(convertPressure(pressure, unit), unit);
+    }
+
+    get unitSettingsButtonClass() { return this.isUnitSettingsOpen ? 'settings-btn active' : 'settings-btn'; }
+    get exportButtonClass() { return this.isExportMenuOpen ? 'export-btn active' : 'export-btn'; }
+
+    get unitSettingsGroups() {
+        return Object.keys(UNIT_OPTIONS).map((quantity) => ({
+            quantity,
+            label: UNIT_QUANTITY_LABELS[quantity],
+            options: UNIT_OPTIONS[quantity].map((unit) => {
+                const selected = this.units[quantity] === unit;
+                return {
+                    key: `${quantity}-${unit}`,
+                    unit,
+                    label: unit === 'bft' ? LABELS.beaufort : UNIT_SYMBOLS[unit],
+                    pressed: selected ? 'true' : 'false',
+                    className: selected ? 'unit-option active' : 'unit-option'
+                };
+            })
+        }));
+    }
+
+    get currentDescription() {
+        const current = this.weatherData?.current;
+        return current ? describeWeather(current.weatherCode, current.description) : '';
+    }
+
+    get selectedDayLabel() {
+        const day = this.selectedDay;
+        return day ? `${day.dayDisplay}, ${day.dateDisplay}` : '';
     }
 
     get sunriseTime() { return this._formatUnixTime(this.weatherData?.current?.sunrise); }
     get sunsetTime() { return this._formatUnixTime(this.weatherData?.current?.sunset); }
 
+    get updateStatusDisplay() {
+        if (!this.lastUpdated) return '';
+        const parts = [formatLabel(LABELS.updated, this._formatAge(this.lastUpdated))];
+        if (this.isFromCache) parts.push(LABELS.cached);
+        if (this.isRefreshing) parts.push(LABELS.refreshing);
+        return parts.join(' · ');
+    }
+
+    get showRefreshFailed() { return !!this.refreshFailedAt && !!this.weatherData; }
+
+    get refreshFailedMessage() {
+        if (!this.refreshFailedAt) return '';
+        const fetched = new Date(this.refreshFailedAt);
+        const options = { hour: 'numeric', minute: '2-digit', hourCycle: this.is24Hour ? 'h23' : 'h12' };
+        // Older than today: say which day, or "14:05" would read as this afternoon
+        if (fetched.toDateString() !== new Date(this.now).toDateString()) {
+            options.month = 'short';
+            options.day = 'numeric';
+        }
+        return formatLabel(LABELS.staleData, new Intl.DateTimeFormat(LOCALE, options).format(fetched));
+    }
+
+    get errorActionLabel() {
+        if (!this.errorMessage || !ERROR_MESSAGES[this.errorCode]) return '';
+        return isTransientError(this.errorCode) ? LABELS.tryAgain : LABELS.editSearch;
+    }
+
+    get refreshButtonClass() { return this.isRefreshing ? 'refresh-btn spinning' : 'refresh-btn'; }
+
+    get clockFormatLabel() { return this.is24Hour ? LABELS.clock24 : LABELS.clock12; }
+    get clockToggleTitle() { return this.is24Hour ? LABELS.switchTo12 : LABELS.switchTo24; }
+
+    get localTimeLabel() { return formatLabel(LABELS.localTime, this.localTimeDisplay); }
+    get feelsLikeLabel() { return formatLabel(LABELS.feelsLike, `${this.feelsLikeRounded}${this.tempUnit}`); }
+
+    get liveAnnouncement() {
+        if (this.isLoading) return LABELS.loadingForecast;
+        if (this.errorMessage) return this.errorMessage;
+        if (!this.hasWeatherData) return '';
+        if (this.showRefreshFailed) return this.refreshFailedMessage;
+        return formatLabel(
+            LABELS.forecastLoaded,
+            this.locationDisplay,
+            `${this.currentTempRounded}${this.tempUnit}`,
+            this.currentDescription
+        );
+    }
+
+    get airQualityMetrics() {
+        const aq = this.airQuality;
+        if (!aq) return [];
+        const todayUv = this._todayUvIndexMax;
+        const metrics = [
+            { key: 'usAqi', label: LABELS.usAqi, value: aq.usAqi, category: usAqiCategory(aq.usAqi) },
+            { key: 'europeanAqi', label: LABELS.europeanAqi, value: aq.europeanAqi, category: europeanAqiCategory(aq.europeanAqi) },
+            { key: 'pm25', label: LABELS.pm25, value: aq.pm25, unit: MICROGRAMS_PER_CUBIC_METRE, digits: 1 },
+            { key: 'pm10', label: LABELS.pm10, value: aq.pm10, unit: MICROGRAMS_PER_CUBIC_METRE, digits: 1 },
+            { key: 'ozone', label: LABELS.ozone, value: aq.ozone, unit: MICROGRAMS_PER_CUBIC_METRE, digits: 0 },
+            { key: 'uvNow', label: LABELS.uvNow, value: aq.uvIndex, category: uvIndexCategory(aq.uvIndex), digits: 1 },
+            { key: 'uvTodayMax', label: LABELS.uvTodayMax, value: todayUv, category: uvIndexCategory(todayUv), digits: 1 }
+        ];
+        return metrics
+            .filter((metric) => metric.value !== null && metric.value !== undefined)
+            .map((metric) => ({
+                key: metric.key,
+                label: metric.label,
+                valueDisplay: metric.unit
+                    ? `${this._formatDecimal(metric.value, metric.digits)} ${metric.unit}`
+                    : this._formatDecimal(metric.value, metric.digits || 0),
+                categoryLabel: metric.category ? metric.category.label : '',
+                className: metric.category ? `aq-metric aq-level-${metric.category.level}` : 'aq-metric'
+            }));
+    }
+
+    get hasAirQuality() { return !this.isDaySelected && this.airQualityMetrics.length > 0; }
+
+    // US guidance first, then European for places the US index doesn't cover
+    get airQualityGuidance() {
+        const aq = this.airQuality;
+        const category = aq && (usAqiCategory(aq.usAqi) || europeanAqiCategory(aq.europeanAqi));
+        return category ? category.guidance : '';
+    }
+
+    get uvGuidance() {
+        const aq = this.airQuality;
+        const uv = this._todayUvIndexMax ?? aq?.uvIndex;
+        const category = uvIndexCategory(uv);
+        return category ? category.guidance : '';
+    }
+
+    // The selected day, or today while the current view is showing
+    get astronomy() {
+        const day = this.selectedDay || (this.hasForecast ? this.weatherData.daily[0] : null);
+        const { lat, lon } = this.weatherData || {};
+        if (!day || !day.timeUnix || lat === null || lat === undefined) return null;
+
+        const sky = this._skyForDay(day.timeUnix, lat, lon);
+        const sun = sky.sun;
+        const sunrise = day.sunrise || sun.sunrise;
+        const sunset = day.sunset || sun.sunset;
+        // Only today's arc tracks the sun; the clock tick moves it along
+        const nowSeconds = Math.floor(this.now / 1000);
+        const isToday = nowSeconds >= day.timeUnix && nowSeconds < day.timeUnix + SECONDS_PER_DAY;
+        const position = isToday ? sunPosition(sunrise, sunset, nowSeconds) : null;
+        const sunriseDisplay = this._formatUnixTime(sunrise);
+        const sunsetDisplay = this._formatUnixTime(sunset);
+
+        return {
+            arcPath: arcPath(),
+            arcLabel: position
+                ? `${formatLabel(LABELS.sunArcLabel, sunriseDisplay, sunsetDisplay)}. ${formatLabel(LABELS.sunArcProgress, Math.round(position.fraction * 100))}`
+                : formatLabel(LABELS.sunArcLabel, sunriseDisplay, sunsetDisplay),
+            sun: position ? { x: position.x, y: position.y, elapsedPath: arcPath(position.fraction) } : null,
+            sunriseDisplay,
+            sunsetDisplay,
+            dayLengthDisplay: this._formatDayLength(sunrise && sunset ? sunset - sunrise : sun.dayLength),
+            dayLengthChange: this._describeDayLengthChange(sun.dayLength - sky.yesterday.dayLength),
+            periods: [
+                { key: 'golden', label: LABELS.goldenHour, morning: [sun.sunrise, sun.goldenMorningEnd], evening: [sun.goldenEveningStart, sun.sunset] },
+                { key: 'civil', label: LABELS.civilTwilight, morning: [sun.civilDawn, sun.sunrise], evening: [sun.sunset, sun.civilDusk] },
+                { key: 'nautical', label: LABELS.nauticalTwilight, morning: [sun.nauticalDawn, sun.civilDawn], evening: [sun.civilDusk, sun.nauticalDusk] }
+            ].map((period) => ({
+                key: period.key,
+                label: period.label,
+                morningDisplay: this._formatTimeRange(...period.morning),
+                eveningDisplay: this._formatTimeRange(...period.evening)
+            })),
+            moon: {
+                icon: sky.moon.icon,
+                name: sky.moon.name,
+                illuminationDisplay: formatLabel(LABELS.moonIllumination, Math.round(sky.moon.fraction * 100)),
+                riseDisplay: this._formatMoonEvent(sky.moonTimes, sky.moonTimes.rise),
+                setDisplay: this._formatMoonEvent(sky.moonTimes, sky.moonTimes.set)
+            }
+        };
+    }
+
+    // Recomputed on every clock tick, so the minutes count down between refreshes
+    get nowcast() {
+        const nowcast = buildNowcast(this.weatherData?.nowcast, Math.floor(this.now / 1000));
+        if (!nowcast) return null;
+        return {
+            summary: nowcast.summary,
+            steps: nowcast.steps.map((step) => ({
+                key: String(step.timeUnix),
+                className: `nowcast-step nowcast-level-${step.level}${step.snow ? ' nowcast-snow' : ''}`,
+                title: formatLabel(LABELS.nowcastStepTitle, this._formatUnixTime(step.timeUnix), this._formatPrecip(step.precipitation))
+            }))
+        };
+    }
+
+    get historyDeltas() {
+        const history = this.history;
+        const high = this.weatherData?.current?.tempMax;
+        if (!history || high === null || high === undefined) return [];
+        const deltas = [];
+        const yesterday = history.yesterday;
+        if (yesterday) {
+            const difference = this._formatTemp(high) - this._formatTemp(yesterday.tempHigh);
+            deltas.push({
+                key: 'yesterday',
+                text: describeDifference(difference, YESTERDAY_PHRASES),
+                title: formatLabel(LABELS.yesterdayHighLow, this._formatDegrees(yesterday.tempHigh), this._formatDegrees(yesterday.tempLow)),
+                className: this._historyDeltaClass(difference)
+            });
+        }
+        if (history.normalHigh !== null && history.normalHigh !== undefined) {
+            const difference = this._formatTemp(high) - this._formatTemp(history.normalHigh);
+            deltas.push({
+                key: 'normal',
+                text: describeDifference(difference, NORMAL_PHRASES),
+                title: formatLabel(LABELS.normalHighLow, this._formatDegrees(history.normalHigh),
+                    this._formatDegrees(history.normalLow), history.normalYears),
+                className: this._historyDeltaClass(difference)
+            });
+        }
+        if (history.lastYear) {
+            deltas.push({
+                key: 'lastYear',
+                text: formatLabel(LABELS.lastYearHighLow, this._formatDegrees(history.lastYear.tempHigh), this._formatDegrees(history.lastYear.tempLow)),
+                title: '',
+                className: 'history-delta'
+            });
+        }
+        return deltas;
+    }
+
+    get hasHistoryDeltas() { return this.historyDeltas.length > 0; }
+
+    // Bars share one scale from the week's lowest low to its highest high
+    get temperatureTrend() {
+        const day = this.selectedDay;
+        if (!day || !day.timeUnix) return null;
+        const days = buildTemperatureTrend(this.history?.recent, this.weatherData.daily, day.timeUnix);
+        if (days.length < 2) return null;
+
+        const min = Math.min(...days.map((trendDay) => this._convertTemp(trendDay.tempLow)));
+        const max = Math.max(...days.map((trendDay) => this._convertTemp(trendDay.tempHigh)));
+        const span = max - min || 1;
+        return {
+            label: formatLabel(LABELS.trendChartLabel, this.selectedDayLabel),
+            days: days.map((trendDay) => {
+                const low = this._convertTemp(trendDay.tempLow);
+                const high = this._convertTemp(trendDay.tempHigh);
+                const dayLabel = this._formatInLocationZone(trendDay.timeUnix, { weekday: 'short' });
+                let className = trendDay.observed ? 'trend-day' : 'trend-day trend-forecast';
+                if (trendDay.selected) className += ' trend-selected';
+                return {
+                    key: String(trendDay.timeUnix),
+                    dayLabel,
+                    highDisplay: this._formatTemp(trendDay.tempHigh),
+                    lowDisplay: this._formatTemp(trendDay.tempLow),
+                    className,
+                    barStyle: `bottom: ${(((low - min) / span) * 100).toFixed(1)}%; height: ${(((high - low) / span) * 100).toFixed(1)}%;`,
+                    title: formatLabel(LABELS.trendDayTitle, dayLabel, this._formatDegrees(trendDay.tempHigh),
+                        this._formatDegrees(trendDay.tempLow), trendDay.observed ? LABELS.trendObserved : LABELS.trendForecast)
+                };
+            })
+        };
+    }
+
+    get activityProfile() {
+        if (this.activityProfileId === CUSTOM_PROFILE_ID) return this.customProfile;
+        return ACTIVITY_PROFILES.find((profile) => profile.id === this.activityProfileId) || ACTIVITY_PROFILES[0];
+    }
+
+    get isCustomActivity() { return this.activityProfileId === CUSTOM_PROFILE_ID; }
+
+    get activityProfileOptions() {
+        return ACTIVITY_PROFILES.map((profile) => {
+            const selected = profile.id === this.activityProfile.id;
+            return {
+                id: profile.id,
+                label: profile.label,
+                pressed: selected ? 'true' : 'false',
+                className: selected ? 'unit-option active' : 'unit-option'
+            };
+        });
+    }
+
+    get activityCriteria() {
+        const profile = this.activityProfile;
+        const parts = [
+            formatLabel(LABELS.plannerTempRange, `${this._formatTemp(profile.minTemp)}${this.tempUnit}`, `${this._formatTemp(profile.maxTemp)}${this.tempUnit}`),
+            formatLabel(LABELS.plannerWindMax, this._formatSpeed(profile.maxWind)),
+            formatLabel(LABELS.plannerPopMax, profile.maxPop)
+        ];
+        if (profile.daylightOnly) {
+            parts.push(LABELS.plannerDaylightOnly);
+        }
+        parts.push(formatLabel(LABELS.plannerMinHours, profile.minHours));
+        return parts.join(' · ');
+    }
+
+    // Custom limits in the user's units; Beaufort limits stay whole forces
+    get activityInputs() {
+        const profile = this.customProfile;
+        const windUnit = this.units.wind;
+        const wind = convertSpeed(profile.maxWind, windUnit);
+        return {
+            minTemp: Math.round(this._convertTemp(profile.minTemp)),
+            maxTemp: Math.round(this._convertTemp(profile.maxTemp)),
+            maxWind: Number(wind.toFixed(UNIT_DECIMALS[windUnit])),
+            maxPop: profile.maxPop,
+            minHours: profile.minHours,
+            daylightOnly: profile.daylightOnly,
+            minTempLabel: formatLabel(LABELS.plannerMinTempInput, this.tempUnit),
+            maxTempLabel: formatLabel(LABELS.plannerMaxTempInput, this.tempUnit),
+            maxWindLabel: formatLabel(LABELS.plannerMaxWindInput, windUnit === 'bft' ? LABELS.beaufort : UNIT_SYMBOLS[windUnit])
+        };
+    }
+
+    get activityWindows() {
+        if (!this.hasHourly) return [];
+        return findActivityWindows(this.weatherData.hourly, this.weatherData.daily, this.activityProfile, Math.floor(this.now / 1000));
+    }
+
+    get activityWindowRows() {
+        return this.activityWindows.map((timeWindow, index) => ({
+            key: String(timeWindow.start),
+            className: index === 0 ? 'planner-window planner-best' : 'planner-window',
+            rangeDisplay: formatLabel(LABELS.plannerWindowRange, this._formatWindowTime(timeWindow.start), this._formatWindowTime(timeWindow.end, timeWindow.start)),
+            hoursDisplay: formatLabel(LABELS.plannerWindowHours, timeWindow.hours),
+            detailDisplay: formatLabel(
+                LABELS.plannerWindowDetail,
+                `${this._formatTemp(timeWindow.tempMin)}${this.tempUnit}`,
+                `${this._formatTemp(timeWindow.tempMax)}${this.tempUnit}`,
+                this._formatSpeed(timeWindow.windMax),
+                Math.round(timeWindow.popMax)
+            ),
+            sourceDisplay: timeWindow.fromDaily ? LABELS.plannerDailyWindow : null
+        }));
+    }
+
+    get hasActivityWindows() { return this.activityWindows.length > 0; }
+
+    get localTimeDisplay() {
+        if (!this.weatherData) return '';
+        const time = this._formatUnixTime(Math.floor(this.now / 1000));
+        const abbreviation = this.weatherData.timezoneAbbreviation;
+        return abbreviation ? `${time} ${abbreviation}` : time;
+    }
+
     // ─── Event Handlers ──────────────────────────────
 
     handleSearchInput(event) {
         this.searchQuery = event.detail?.value ?? event.target?.value ?? '';
+        this.scheduleSuggestions();
     }
 
     handleSearchFocus() {
-        if (this.recentSearches.length > 0) {
-            this.showRecentSearches = true;
-        }
+        this.isDropdownOpen = true;
     }
 
     handleSearchBlur() {
-        // Delay hiding to allow click event on dropdown to fire
-        setTimeout(() => {
-            this.showRecentSearches = false;
-        }, 200);
+        this.closeSearchDropdown();
+    }
+
+    // Keeps focus in the input while an option is pressed, so blur doesn't close the list before click
+    handleOptionMouseDown(event) {
+        event.preventDefault();
     }
 
     handleRecentSearchClick(event) {
         const query = event.currentTarget.dataset.query;
         if (query) {
             this.searchQuery = query;
-            this.showRecentSearches = false;
+            this.closeSearchDropdown();
             this.handleSearch();
         }
     }
 
+    handleSuggestionClick(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.selectSuggestion(this.suggestions[index]);
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            this.isDropdownOpen = true;
+            const count = this.dropdownOptionCount;
+            if (!count) return;
+            if (event.key === 'ArrowDown') {
+                this.activeOptionIndex = (this.activeOptionIndex + 1) % count;
+            } else {
+                this.activeOptionIndex = this.activeOptionIndex <= 0 ? count - 1 : this.activeOptionIndex - 1;
+            }
+        } else if (event.key === 'Escape') {
+            this.closeSearchDropdown();
+        }
+    }
+
     handleKeyUp(event) {
         if (event.key === 'Enter') {
-            this.showRecentSearches = false;
+            const index = this.showSearchDropdown ? this.activeOptionIndex : -1;
+            if (index >= 0 && index < this.suggestions.length) {
+                this.selectSuggestion(this.suggestions[index]);
+                return;
+            }
+            const recent = index >= 0 ? this.recentSearches[index - this.suggestions.length] : null;
+            if (recent) {
+                this.searchQuery = recent;
+            }
+            this.closeSearchDropdown();
             this.handleSearch();
         }
     }
@@ -131,31 +953,268 @@ export default class WeatherForecast extends LightningElement {
         }
     }
 
+    // Forecast cards are role="button" divs, so Enter and Space have to be wired up by hand
+    handleDayKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleDayClick(event);
+        }
+    }
+
     handleBackClick() {
         this.selectedDayIndex = null;
     }
 
+    handleForecastRangeClick(event) {
+        const days = Number(event.currentTarget.dataset.days);
+        if (days === this.forecastDays) return;
+        this.forecastDays = days;
+        this.saveForecastRange();
+        if (this.weatherData) {
+            this.reloadForecastRange();
+        }
+    }
+
+    handleDayPagePrevious() {
+        this.dayPage = Math.max(0, this._dayPageIndex - 1);
+    }
+
+    handleDayPageNext() {
+        this.dayPage = Math.min(this.dayPageCount - 1, this._dayPageIndex + 1);
+    }
+
+    handleHourPagePrevious() {
+        this.hourPage = Math.max(0, this._hourPageIndex - 1);
+    }
+
+    handleHourPageNext() {
+        this.hourPage = Math.min(this.hourPageCount - 1, this._hourPageIndex + 1);
+    }
+
+    handleDismissAlert(event) {
+        const key = `${this._alertLocationKey}|${event.currentTarget.dataset.key}`;
+        if (!this.dismissedAlertKeys.includes(key)) {
+            this.dismissedAlertKeys = [...this.dismissedAlertKeys, key];
+        }
+    }
+
+    // Stepping through days keeps the selected day's card on the visible page
+    handlePreviousDay() {
+        if (this.selectedDayIndex > 0) {
+            this.selectedDayIndex -= 1;
+            this.dayPage = Math.floor(this.selectedDayIndex / DAYS_PER_PAGE);
+        }
+    }
+
+    handleNextDay() {
+        if (!this.isLastDay) {
+            this.selectedDayIndex += 1;
+            this.dayPage = Math.floor(this.selectedDayIndex / DAYS_PER_PAGE);
+        }
+    }
+
+    handleToggleFavorite() {
+        if (!this.weatherData) return;
+        if (this.isCurrentFavorite) {
+            this.removeFavorite(this._favoriteKey(this.weatherData.lat, this.weatherData.lon));
+        } else {
+            this.addFavorite(this.weatherData);
+        }
+    }
+
+    handleOpenComparison() {
+        this.showComparison = true;
+        this.loadComparison();
+    }
+
+    handleCloseComparison() {
+        this.showComparison = false;
+    }
+
+    handleComparisonSelect(event) {
+        const row = this.comparisonRows.find((r) => r.key === event.currentTarget.dataset.key);
+        if (!row || !row.result) return;
+
+        const { favorite } = row;
+        this.showComparison = false;
+        this.searchQuery = favorite.name;
+        // The card's forecast stands in for the cache, so an older one still refreshes in the background
+        this.requestForecast(
+            coordsCacheKey(favorite.lat, favorite.lon),
+            () => getForecastForPlace({
+                lat: favorite.lat,
+                lon: favorite.lon,
+                locationName: favorite.name,
+                country: favorite.country,
+                forecastDays: this.forecastDays
+            }),
+            (result) => this.processResult(result, favorite.name),
+            { result: row.result, fetchedAt: row.fetchedAt }
+        );
+    }
+
+    handleRemoveFavorite(event) {
+        event.stopPropagation();
+        const key = event.currentTarget.dataset.key;
+        this.removeFavorite(key);
+        this.comparisonRows = this.comparisonRows.filter((r) => r.key !== key);
+        if (this.favorites.length === 0) {
+            this.showComparison = false;
+        }
+    }
+
+    handleChartPointEnter(event) {
+        this.activeChartIndex = parseInt(event.currentTarget.dataset.index, 10);
+    }
+
+    handleChartLeave() {
+        this.activeChartIndex = null;
+    }
+
     toggleUnit() {
-        this.isFahrenheit = !this.isFahrenheit;
+        this.setUnit('temperature', this.isFahrenheit ? 'C' : 'F');
+    }
+
+    toggleUnitSettings() {
+        this.isUnitSettingsOpen = !this.isUnitSettingsOpen;
+    }
+
+    closeUnitSettings() {
+        this.isUnitSettingsOpen = false;
+    }
+
+    handleUnitSettingsKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.closeUnitSettings();
+        }
+    }
+
+    toggleExportMenu() {
+        this.isExportMenuOpen = !this.isExportMenuOpen;
+    }
+
+    closeExportMenu() {
+        this.isExportMenuOpen = false;
+    }
+
+    handleExportMenuKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.closeExportMenu();
+        }
+    }
+
+    handleExportClick(event) {
+        const { format } = event.currentTarget.dataset;
+        this.closeExportMenu();
+        this.exportForecast(format);
+    }
+
+    handleActivityProfileClick(event) {
+        this.activityProfileId = event.currentTarget.dataset.profile;
+        this.saveActivityPlanner();
+    }
+
+    handleActivityInputChange(event) {
+        const { field } = event.target.dataset;
+        let value;
+        if (field === 'daylightOnly') {
+            value = event.target.checked;
+        } else {
+            value = Number(event.target.value);
+            if (event.target.value === '' || !Number.isFinite(value)) return;
+            if (field === 'minTemp' || field === 'maxTemp') {
+                value = toCelsius(value, this.units.temperature);
+            } else if (field === 'maxWind') {
+                value = toMetresPerSecond(value, this.units.wind);
+            }
+        }
+        this.customProfile = normalizeCustomProfile({ ...this.customProfile, [field]: value });
+        this.saveActivityPlanner();
+    }
+
+    handleUnitOptionClick(event) {
+        const { quantity, unit } = event.currentTarget.dataset;
+        this.setUnit(quantity, unit);
+    }
+
+    setUnit(quantity, unit) {
+        if (!UNIT_OPTIONS[quantity] || !UNIT_OPTIONS[quantity].includes(unit)) return;
+        this.units = { ...this.units, [quantity]: unit };
+        try {
+            localStorage.setItem(UNIT_PREFERENCES_KEY, JSON.stringify(this.units));
+        } catch (e) {
+            console.error('Error saving unit preferences', e);
+        }
+    }
+
+    handleRefreshClick() {
+        this.refreshForecast();
+    }
+
+    handleRetryClick() {
+        this.refreshForecast();
+    }
+
+    handleErrorAction() {
+        if (isTransientError(this.errorCode) && this._lastForecastRequest) {
+            const { cacheKey, fetchForecast, applyResult } = this._lastForecastRequest;
+            this.requestForecast(cacheKey, fetchForecast, applyResult);
+            return;
+        }
+        const input = this.template.querySelector('.search-input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    handleTick() {
+        this.now = Date.now();
+        if (this._isRefreshDue) {
+            this.refreshForecast();
+        }
+    }
+
+    handleVisibilityChange() {
+        // Timers keep firing in hidden tabs; the due check below skips them, so
+        // catch up as soon as the user comes back instead of waiting a full tick
+        if (!document.hidden) {
+            this.handleTick();
+        }
+    }
+
+    toggleClockFormat() {
+        this.is24Hour = !this.is24Hour;
+        try {
+            localStorage.setItem(CLOCK_FORMAT_KEY, this.is24Hour ? '24' : '12');
+        } catch (e) {
+            console.error('Error saving clock format', e);
+        }
     }
 
     handleGetLocation() {
         if (navigator.geolocation) {
+            // A search started while the browser looks up the position wins
+            const requestId = ++this._forecastRequestId;
             this.isLoading = true;
             this.errorMessage = '';
             navigator.geolocation.getCurrentPosition(
                 (position) => {
+                    if (requestId !== this._forecastRequestId) return;
                     const lat = position.coords.latitude;
                     const lon = position.coords.longitude;
                     this.fetchByCoords(lat, lon);
                 },
                 (error) => {
+                    if (requestId !== this._forecastRequestId) return;
                     this.isLoading = false;
-                    this.errorMessage = 'Unable to retrieve your location. Please check browser permissions.';
+                    this.errorCode = null;
+                    this.errorMessage = LABELS.geolocationError;
                 }
             );
         } else {
-            this.errorMessage = 'Geolocation is not supported by your browser.';
+            this.errorCode = null;
+            this.errorMessage = LABELS.geolocationUnsupported;
         }
     }
 
@@ -163,40 +1222,283 @@ export default class WeatherForecast extends LightningElement {
         const query = this.searchQuery?.trim();
         if (!query) return;
 
-        this.isLoading = true;
-        this.errorMessage = '';
-        this.weatherData = null;
-        this.selectedDayIndex = null;
-
-        getForecast({ location: query })
-            .then((result) => this.processResult(result, query))
-            .catch((error) => this.handleError(error));
+        this.cancelSuggestions();
+        this.requestForecast(
+            queryCacheKey(query),
+            () => getForecast({ location: query, forecastDays: this.forecastDays }),
+            (result) => this.processResult(result, query)
+        );
     }
 
     fetchByCoords(lat, lon) {
-        this.isLoading = true;
+        this.requestForecast(
+            coordsCacheKey(lat, lon),
+            () => getForecastByCoordinates({ lat: lat, lon: lon, forecastDays: this.forecastDays }),
+            (result) => {
+                this.searchQuery = result.locationName || LABELS.currentLocation;
+                this.processResult(result, this.searchQuery);
+            }
+        );
+    }
+
+    fetchByPlace(place) {
+        this.requestForecast(
+            coordsCacheKey(place.lat, place.lon),
+            () => getForecastForPlace({
+                lat: place.lat,
+                lon: place.lon,
+                locationName: place.name,
+                country: place.countryCode,
+                forecastDays: this.forecastDays
+            }),
+            (result) => this.processResult(result, this.searchQuery)
+        );
+    }
+
+    /**
+     * Loads the location on screen again for a new forecast range. A cached
+     * forecast that covers the range is reused; otherwise it is fetched.
+     */
+    reloadForecastRange() {
+        const { lat, lon, locationName, country, postalCode } = this.weatherData;
+        this.requestForecast(
+            coordsCacheKey(lat, lon),
+            () => getForecastForPlace({ lat, lon, locationName, country, forecastDays: this.forecastDays }),
+            (result) => this.processResult(postalCode ? { ...result, postalCode } : result, null)
+        );
+    }
+
+    /**
+     * Stale-while-revalidate: a cached forecast is shown at once; if it is older
+     * than the TTL it is refreshed in the background without the loading skeleton.
+     * Only a cache miss clears the screen and waits on Apex. Transient errors are
+     * retried first, and a response is dropped once a newer request has started.
+     * A { result, fetchedAt } the caller already holds is used in place of the cache.
+     */
+    requestForecast(cacheKey, fetchForecast, applyResult, prefetched = null) {
+        const ttlMs = this._cacheTtlMs;
+        const cached = prefetched || (ttlMs > 0 ? readCache(cacheKey, CACHE_MAX_STALE_MS, this.forecastDays) : null);
+        const requestId = ++this._forecastRequestId;
+        const isCurrent = () => requestId === this._forecastRequestId;
+        this._lastForecastRequest = { cacheKey, fetchForecast, applyResult };
+
         this.errorMessage = '';
-        this.weatherData = null;
+        this.errorCode = null;
         this.selectedDayIndex = null;
+        this.dayPage = 0;
+        this.hourPage = 0;
+        this.refreshFailedAt = null;
+        // Any refresh still in flight now belongs to a superseded request
+        this.isRefreshing = false;
+
+        if (cached) {
+            // Shallow copy: processResult replaces daily/hourly on the object it gets
+            applyResult({ ...cached.result });
+            this.now = Date.now();
+            this.isFromCache = true;
+            this.lastUpdated = cached.fetchedAt;
+            if (Date.now() - cached.fetchedAt <= ttlMs) return;
+            this.isRefreshing = true;
+        } else {
+            this.isLoading = true;
+            this.isFromCache = false;
+            this.weatherData = null;
+        }
 
-        getForecastByCoordinates({ lat: lat, lon: lon })
+        fetchWithRetry(fetchForecast, isCurrent)
             .then((result) => {
-                this.searchQuery = result.locationName || 'Current Location';
-                this.processResult(result, this.searchQuery);
+                if (ttlMs > 0) {
+                    writeCache(result, [cacheKey], this.forecastDays);
+                }
+                this.rememberLastKnown(result, [cacheKey]);
+                if (!isCurrent()) return;
+                // A failed background refresh keeps the cached forecast on screen
+                if (cached && !result.success) {
+                    this.isRefreshing = false;
+                    this.refreshFailedAt = cached.fetchedAt;
+                    return;
+                }
+                if (!result.success && this.applyLastKnown(cacheKey, applyResult)) return;
+                applyResult({ ...result });
+                this.isFromCache = false;
+                this.isRefreshing = false;
+                this.lastUpdated = Date.now();
+            })
+            .catch((error) => {
+                if (!isCurrent()) return;
+                this.isRefreshing = false;
+                if (cached) {
+                    this.refreshFailedAt = cached.fetchedAt;
+                } else if (!this.applyLastKnown(cacheKey, applyResult)) {
+                    this.handleError(error);
+                }
+            });
+    }
+
+    /**
+     * Falls back to the last forecast that loaded for this location, within
+     * fallbackMaxAgeHours, and flags it as out of date.
+     * @returns {Boolean} whether a forecast was shown
+     */
+    applyLastKnown(cacheKey, applyResult) {
+        const entry = readLastKnown(cacheKey, this._fallbackMaxAgeMs);
+        if (!entry) return false;
+
+        applyResult({ ...entry.result });
+        this.isFromCache = false;
+        this.now = Date.now();
+        this.lastUpdated = entry.fetchedAt;
+        this.refreshFailedAt = entry.fetchedAt;
+        return true;
+    }
+
+    rememberLastKnown(result, aliasKeys) {
+        if (this._fallbackMaxAgeMs > 0) {
+            saveLastKnown(result, aliasKeys);
+        }
+    }
+
+    /**
+     * Re-fetches the location on screen in place: no skeleton, the selected day
+     * stays open, and a failure leaves the current forecast visible.
+     */
+    refreshForecast() {
+        if (!this.weatherData || this.isRefreshing || this.isLoading) return;
+
+        const { lat, lon, locationName, country, postalCode } = this.weatherData;
+        const requestId = ++this._forecastRequestId;
+        const isCurrent = () => requestId === this._forecastRequestId;
+        this.isRefreshing = true;
+
+        fetchWithRetry(() => getForecastForPlace({ lat, lon, locationName, country, forecastDays: this.forecastDays }), isCurrent)
+            .then((refreshed) => {
+                if (!isCurrent()) return;
+                if (!refreshed.success) {
+                    this.refreshFailedAt = this.lastUpdated;
+                    return;
+                }
+                // getForecastForPlace doesn't know the search was a postal code
+                const result = postalCode ? { ...refreshed, postalCode } : refreshed;
+                if (this._cacheTtlMs > 0) {
+                    writeCache(result, [], this.forecastDays);
+                }
+                this.rememberLastKnown(result, []);
+                this.processResult({ ...result }, null);
+                this.isFromCache = false;
+                this.refreshFailedAt = null;
+                this.lastUpdated = Date.now();
+                this.now = this.lastUpdated;
+            })
+            .catch((error) => {
+                console.error('Error refreshing forecast', error);
+                if (isCurrent()) {
+                    this.refreshFailedAt = this.lastUpdated;
+                }
             })
-            .catch((error) => this.handleError(error));
+            .finally(() => {
+                if (isCurrent()) {
+                    this.isRefreshing = false;
+                }
+            });
     }
 
     // ─── Private Helpers ─────────────────────────────
 
+    scheduleSuggestions() {
+        clearTimeout(this._suggestionTimer);
+        const query = this.searchQuery?.trim() || '';
+        if (query.length < MIN_SUGGESTION_QUERY_LENGTH) {
+            this.cancelSuggestions();
+            return;
+        }
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._suggestionTimer = setTimeout(() => this.loadSuggestions(query), SUGGESTION_DEBOUNCE_MS);
+    }
+
+    loadSuggestions(query) {
+        const requestId = ++this._suggestionRequestId;
+        searchLocations({ query })
+            .then((places) => {
+                // Ignore responses for queries the user has already typed past
+                if (requestId !== this._suggestionRequestId) return;
+                this.suggestions = (places || []).map((place) => this._decorateSuggestion(place));
+                this.activeOptionIndex = -1;
+                if (this.hasSuggestions) {
+                    this.isDropdownOpen = true;
+                }
+            })
+            .catch(() => {
+                if (requestId === this._suggestionRequestId) {
+                    this.suggestions = [];
+                }
+            });
+    }
+
+    selectSuggestion(place) {
+        if (!place) return;
+        this.searchQuery = place.label;
+        this.closeSearchDropdown();
+        this.fetchByPlace(place);
+    }
+
+    cancelSuggestions() {
+        clearTimeout(this._suggestionTimer);
+        this._suggestionRequestId++;
+        this.suggestions = [];
+        this.activeOptionIndex = -1;
+    }
+
+    closeSearchDropdown() {
+        this.isDropdownOpen = false;
+        this.cancelSuggestions();
+    }
+
+    applyRecordLocation(record) {
+        const coords = this._readRecordCoordinates(record);
+        const address = coords ? '' : this._readRecordAddress(record);
+        const key = coords ? `${coords.lat},${coords.lon}` : address;
+
+        // LDS re-emits on every record change; only refetch when the location moved
+        if (key === this._recordLocationKey) return;
+        this._recordLocationKey = key;
+
+        if (coords) {
+            this.recordLocationNotice = '';
+            this.fetchByCoords(coords.lat, coords.lon);
+        } else if (address) {
+            this.recordLocationNotice = '';
+            this.searchQuery = address;
+            this.handleSearch();
+        } else {
+            this.recordLocationNotice = LABELS.recordNoLocation;
+            this._forecastRequestId++;
+            this.searchQuery = '';
+            this.weatherData = null;
+            this.errorMessage = '';
+            this.isLoading = false;
+        }
+    }
+
     processResult(result, query) {
         if (result.success) {
             const self = this;
+            this._limitToRange(result);
+            this._normalizedResult = { ...result };
             // Decorate daily forecast
             if (result.daily) {
                 result.daily = result.daily.map((day) => ({
                     ...day,
                     iconUrl: day.icon ? ICON_BASE_URL + day.icon + ICON_SUFFIX : '',
+                    description: describeWeather(day.weatherCode, day.description),
+                    mainDisplay: describeGroup(day.main),
+                    // Getters: the zone comes from this.weatherData, which is assigned below
+                    get dayDisplay() {
+                        return day.timeUnix ? self._formatInLocationZone(day.timeUnix, { weekday: 'short' }) : day.dayName;
+                    },
+                    get dateDisplay() {
+                        return day.timeUnix ? self._formatInLocationZone(day.timeUnix, { month: 'short', day: 'numeric' }) : day.dateStr;
+                    },
                     get tempHighDisplay() { return self._formatTemp(day.tempHigh); },
                     get tempLowDisplay() { return self._formatTemp(day.tempLow); }
                 }));
@@ -206,23 +1508,244 @@ export default class WeatherForecast extends LightningElement {
                 result.hourly = result.hourly.map((hour) => ({
                     ...hour,
                     iconUrl: hour.icon ? ICON_BASE_URL + hour.icon + ICON_SUFFIX : '',
-                    get tempDisplay() { return self._formatTemp(hour.temp); }
+                    description: describeWeather(hour.weatherCode, hour.description),
+                    popDisplay: self._formatPercent(hour.pop),
+                    humidityDisplay: self._formatPercent(hour.humidity),
+                    get timeDisplay() { return self._formatHourLabel(hour.timeUnix) || hour.timeStr; },
+                    get tempDisplay() { return self._formatTemp(hour.temp); },
+                    get windDisplay() { return self._formatSpeed(hour.windSpeed); }
                 }));
             }
             
             this.weatherData = result;
             this.errorMessage = '';
             this.updateDynamicBackground();
+            this.loadAirQuality();
+            this.loadHistory();
+            this.updateAlerts();
+            this.publishSummary();
+            this.updateFlowOutputs();
             this.saveRecentSearch(query);
         } else {
-            this.errorMessage = result.errorMessage || 'Something went wrong.';
+            this.errorCode = result.errorCode || null;
+            this.errorMessage = this._errorMessageFor(result);
             this.weatherData = null;
+            this.alerts = [];
         }
         this.isLoading = false;
     }
 
+    // ─── Air Quality ─────────────────────────────────
+
+    /**
+     * Loads air quality for the location on screen. A failure only hides the
+     * panel; it never affects the forecast itself.
+     */
+    loadAirQuality() {
+        const { lat, lon } = this.weatherData;
+        const key = coordsCacheKey(lat, lon);
+        if (key === this._airQualityKey && Date.now() - this._airQualityFetchedAt < this._cacheTtlMs) return;
+        if (key !== this._airQualityKey) {
+            this.airQuality = null;
+            this._airQualityKey = null;
+        }
+
+        const requestId = ++this._airQualityRequestId;
+        getAirQuality({ lat, lon })
+            .then((result) => {
+                if (requestId !== this._airQualityRequestId) return;
+                if (result && result.success) {
+                    this.airQuality = result;
+                    this._airQualityKey = key;
+                    this._airQualityFetchedAt = Date.now();
+                } else {
+                    this.airQuality = null;
+                }
+            })
+            .catch((error) => {
+                console.error('Error loading air quality', error);
+                if (requestId === this._airQualityRequestId) {
+                    this.airQuality = null;
+                }
+            });
+    }
+
+    // ─── Past Weather ────────────────────────────────
+
+    /**
+     * Loads observed weather for the location on screen. Like air quality, a
+     * failure only hides the comparisons and leaves the forecast alone.
+     */
+    loadHistory() {
+        const { lat, lon } = this.weatherData;
+        const key = coordsCacheKey(lat, lon);
+        if (key === this._historyKey && Date.now() - this._historyFetchedAt < this._cacheTtlMs) return;
+        if (key !== this._historyKey) {
+            this.history = null;
+            this._historyKey = null;
+        }
+
+        const requestId = ++this._historyRequestId;
+        getHistory({ lat, lon })
+            .then((result) => {
+                if (requestId !== this._historyRequestId) return;
+                if (result && result.success) {
+                    this.history = result;
+                    this._historyKey = key;
+                    this._historyFetchedAt = Date.now();
+                } else {
+                    this.history = null;
+                }
+            })
+            .catch((error) => {
+                console.error('Error loading past weather', error);
+                if (requestId === this._historyRequestId) {
+                    this.history = null;
+                }
+            });
+    }
+
+    // ─── Export ──────────────────────────────────────
+
+    exportForecast(format) {
+        if (!this.hasWeatherData || !EXPORT_MIME_TYPES[format]) return;
+
+        let content;
+        if (format === 'csv') {
+            content = buildCsv(this.weatherData, this.units);
+        } else if (format === 'json') {
+            content = buildJson(this._normalizedResult);
+        } else {
+            content = buildIcs(this.weatherData, { locationName: this.locationDisplay, units: this.units });
+        }
+        const fileName = exportFileName(this.locationDisplay, new Date(this.lastUpdated || Date.now()), format);
+        this.downloadFile(content, fileName, EXPORT_MIME_TYPES[format]);
+    }
+
+    downloadFile(content, fileName, mimeType) {
+        // Lightning Locker blocks blob: URLs, so the file is handed over as a data URI
+        const link = document.createElement('a');
+        link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = fileName;
+        link.click();
+    }
+
+    // ─── Flow Screen ─────────────────────────────────
+
+    handleFlowNext() {
+        if (!this.hasWeatherData) return;
+        this.dispatchEvent(this.flowFinishes ? new FlowNavigationFinishEvent() : new FlowNavigationNextEvent());
+    }
+
+    updateFlowOutputs() {
+        if (!this.isFlowScreen) return;
+        const current = this.weatherData.current;
+        const today = this.weatherData.daily?.[0];
+        const outputs = {
+            currentTemperature: current.temp === null || current.temp === undefined ? null : Math.round(current.temp),
+            conditions: current.main,
+            weatherCode: current.weatherCode,
+            precipitationProbability: today?.pop === null || today?.pop === undefined ? null : Math.round(today.pop)
+        };
+        Object.keys(outputs).forEach((name) => {
+            this.dispatchEvent(new FlowAttributeChangeEvent(name, outputs[name]));
+        });
+    }
+
+    // ─── Message Channel ─────────────────────────────
+
+    subscribeToChannel() {
+        if (this._channelSubscription) return;
+        this._channelSubscription = subscribe(
+            this.messageContext,
+            WEATHER_CHANNEL,
+            (message) => this.handleChannelMessage(message),
+            { scope: APPLICATION_SCOPE }
+        );
+    }
+
+    /**
+     * Lets other components on the page drive the location. Coordinates win over a
+     * query; weatherSummary messages (ours or another instance's) are ignored.
+     */
+    handleChannelMessage(message) {
+        if (!message || message.type !== MESSAGE_SET_LOCATION) return;
+
+        const hasCoords = message.lat !== null && message.lat !== undefined
+            && message.lon !== null && message.lon !== undefined
+            && Number.isFinite(Number(message.lat)) && Number.isFinite(Number(message.lon));
+
+        this.showComparison = false;
+        this.closeSearchDropdown();
+        if (hasCoords) {
+            this.fetchByCoords(Number(message.lat), Number(message.lon));
+        } else if (message.query && String(message.query).trim()) {
+            this.searchQuery = String(message.query).trim();
+            this.handleSearch();
+        }
+    }
+
+    publishSummary() {
+        const data = this.weatherData;
+        if (!data?.current) return;
+        const today = data.daily?.[0];
+        publish(this.messageContext, WEATHER_CHANNEL, {
+            type: MESSAGE_WEATHER_SUMMARY,
+            locationName: data.locationName,
+            country: data.country,
+            lat: data.lat,
+            lon: data.lon,
+            temp: data.current.temp,
+            weatherCode: data.current.weatherCode,
+            tempHigh: today ? today.tempHigh : data.current.tempMax,
+            tempLow: today ? today.tempLow : data.current.tempMin,
+            pop: today ? today.pop : null
+        });
+    }
+
+    /**
+     * Re-runs the alert rules for the shown forecast and tells the parent when the
+     * set of active alerts changes, so auto-refreshes don't repeat the same event.
+     */
+    updateAlerts() {
+        if (this.disableAlerts || !this.weatherData) {
+            this.alerts = [];
+            return;
+        }
+
+        this.alerts = evaluateAlerts(this.weatherData, {
+            heatIndex: this.alertHeatIndex,
+            freezing: this.alertFreezingTemp,
+            windSpeed: this.alertWindSpeed,
+            precipChance: this.alertPrecipChance
+        });
+
+        const signature = `${this._alertLocationKey}|${this.alerts.map((alert) => alert.key).join(',')}`;
+        if (signature === this._alertSignature) return;
+        this._alertSignature = signature;
+        if (!this.alerts.length) return;
+
+        this.dispatchEvent(new CustomEvent('weatheralert', {
+            detail: {
+                locationName: this.weatherData.locationName,
+                country: this.weatherData.country,
+                lat: this.weatherData.lat,
+                lon: this.weatherData.lon,
+                alerts: this.alerts.map((alert) => ({
+                    type: alert.type,
+                    severity: alert.severity,
+                    title: ALERT_TITLES[alert.type],
+                    message: this._describeAlert(alert),
+                    value: alert.value,
+                    timeUnix: alert.timeUnix
+                }))
+            }
+        }));
+    }
+
     handleError(error) {
-        this.errorMessage = error?.body?.message || 'Failed to fetch weather data.';
+        this.errorCode = null;
+        this.errorMessage = error?.body?.message || LABELS.fetchError;
         this.weatherData = null;
         this.isLoading = false;
     }
@@ -253,6 +1776,142 @@ export default class WeatherForecast extends LightningElement {
         }
     }
 
+    loadComparison() {
+        this.comparisonRows = this.favorites.map((fav) => this._buildComparisonRow(fav, { isLoading: true }));
+
+        this.favorites.forEach((fav) => {
+            // Cards open as the main forecast, so they need the full range too
+            const cached = this._cacheTtlMs > 0 ? readCache(coordsCacheKey(fav.lat, fav.lon), this._cacheTtlMs, this.forecastDays) : null;
+            if (cached) {
+                this._updateComparisonRow(fav, cached);
+                return;
+            }
+
+            getForecastForPlace({ lat: fav.lat, lon: fav.lon, locationName: fav.name, country: fav.country, forecastDays: this.forecastDays })
+                .then((result) => {
+                    if (result.success) {
+                        if (this._cacheTtlMs > 0) {
+                            writeCache(result, [], this.forecastDays);
+                        }
+                        this._updateComparisonRow(fav, { result, fetchedAt: Date.now() });
+                    } else {
+                        this._updateComparisonRow(fav, { errorMessage: this._errorMessageFor(result) });
+                    }
+                })
+                .catch((error) => {
+                    this._updateComparisonRow(fav, { errorMessage: error?.body?.message || LABELS.fetchError });
+                });
+        });
+    }
+
+    loadFavorites() {
+        try {
+            const stored = localStorage.getItem(FAVORITES_KEY);
+            if (stored) {
+                this.favorites = JSON.parse(stored);
+            }
+        } catch (e) {
+            console.error('Error loading favorite locations', e);
+        }
+    }
+
+    addFavorite(data) {
+        if (this.favorites.length >= MAX_FAVORITES) return;
+
+        const favorite = {
+            key: this._favoriteKey(data.lat, data.lon),
+            name: data.locationName || LABELS.unknownLocation,
+            country: data.country || '',
+            lat: Number(data.lat),
+            lon: Number(data.lon)
+        };
+        this.saveFavorites([...this.favorites, favorite]);
+    }
+
+    removeFavorite(key) {
+        this.saveFavorites(this.favorites.filter((fav) => fav.key !== key));
+    }
+
+    saveFavorites(favorites) {
+        this.favorites = favorites;
+        try {
+            localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+        } catch (e) {
+            console.error('Error saving favorite locations', e);
+        }
+    }
+
+    /**
+     * Saved preferences win over the App Builder unit system, which only seeds
+     * the defaults for users who have never changed a unit.
+     */
+    loadUnitPreferences() {
+        const defaults = defaultUnits(this.defaultUnitSystem === UNIT_SYSTEM_IMPERIAL);
+        this.units = defaults;
+        try {
+            const stored = localStorage.getItem(UNIT_PREFERENCES_KEY);
+            if (stored) {
+                this.units = normalizeUnits(JSON.parse(stored), defaults);
+            }
+        } catch (e) {
+            console.error('Error loading unit preferences', e);
+        }
+    }
+
+    loadActivityPlanner() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ACTIVITY_PLANNER_KEY));
+            if (stored) {
+                if (ACTIVITY_PROFILES.some((profile) => profile.id === stored.profileId)) {
+                    this.activityProfileId = stored.profileId;
+                }
+                this.customProfile = normalizeCustomProfile(stored.custom);
+            }
+        } catch (e) {
+            console.error('Error loading activity planner', e);
+        }
+    }
+
+    saveActivityPlanner() {
+        try {
+            localStorage.setItem(ACTIVITY_PLANNER_KEY, JSON.stringify({
+                profileId: this.activityProfileId,
+                custom: this.customProfile
+            }));
+        } catch (e) {
+            console.error('Error saving activity planner', e);
+        }
+    }
+
+    loadForecastRange() {
+        const fallback = Number(this.defaultForecastDays);
+        this.forecastDays = FORECAST_RANGES.some((range) => range.days === fallback) ? fallback : FORECAST_RANGES[0].days;
+        try {
+            const stored = Number(localStorage.getItem(FORECAST_RANGE_KEY));
+            if (FORECAST_RANGES.some((range) => range.days === stored)) {
+                this.forecastDays = stored;
+            }
+        } catch (e) {
+            console.error('Error loading forecast range', e);
+        }
+    }
+
+    saveForecastRange() {
+        try {
+            localStorage.setItem(FORECAST_RANGE_KEY, String(this.forecastDays));
+        } catch (e) {
+            console.error('Error saving forecast range', e);
+        }
+    }
+
+    loadClockFormat() {
+        try {
+            this.is24Hour = localStorage.getItem(CLOCK_FORMAT_KEY) === '24';
+        } catch (e) {
+            console.error('Error loading clock format', e);
+        }
+    }
+
     loadRecentSearches() {
         try {
             const stored = localStorage.getItem(RECENT_SEARCHES_KEY);
@@ -265,7 +1924,7 @@ export default class WeatherForecast extends LightningElement {
     }
 
     saveRecentSearch(query) {
-        if (!query || query === 'Current Location') return;
+        if (!query || query === LABELS.currentLocation) return;
         
         let searches = [...this.recentSearches];
         // Remove if exists to put it at the top
@@ -284,30 +1943,360 @@ export default class WeatherForecast extends LightningElement {
         }
     }
 
+    _geolocationFieldNames() {
+        const field = this.geolocationField?.trim();
+        if (!field) return [];
+        // Custom geolocation/address fields: Site__c -> Site__Latitude__s
+        if (field.endsWith('__c')) {
+            const base = field.slice(0, -3);
+            return [`${base}__Latitude__s`, `${base}__Longitude__s`];
+        }
+        // Standard compound addresses: BillingAddress -> BillingLatitude
+        const prefix = field.replace(/Address$/, '');
+        return [`${prefix}Latitude`, `${prefix}Longitude`];
+    }
+
+    _addressFieldNames() {
+        const field = this.addressField?.trim();
+        if (!field) return [];
+        if (field.endsWith('__c')) {
+            // Could be plain text or a custom compound address; request both shapes
+            const base = field.slice(0, -3);
+            return [field, ...ADDRESS_COMPONENTS.map((c) => `${base}__${c}__s`)];
+        }
+        const standard = field.match(/^(\w+)Address$/);
+        if (standard) {
+            return ADDRESS_COMPONENTS.map((c) => standard[1] + c);
+        }
+        return [field];
+    }
+
+    _readRecordCoordinates(record) {
+        const [latField, lonField] = this._geolocationFieldNames();
+        if (!latField) return null;
+
+        const lat = getFieldValue(record, `${this.objectApiName}.${latField}`);
+        const lon = getFieldValue(record, `${this.objectApiName}.${lonField}`);
+        if (lat === null || lat === undefined || lon === null || lon === undefined) return null;
+        return { lat: Number(lat), lon: Number(lon) };
+    }
+
+    _readRecordAddress(record) {
+        const fields = this._addressFieldNames();
+        const componentValues = fields
+            .filter((f) => f !== this.addressField)
+            .map((f) => getFieldValue(record, `${this.objectApiName}.${f}`))
+            .filter((value) => value !== null && value !== undefined && String(value).trim() !== '');
+        if (componentValues.length > 0) {
+            return componentValues.join(' ').trim();
+        }
+
+        const plain = fields.includes(this.addressField)
+            ? getFieldValue(record, `${this.objectApiName}.${this.addressField}`)
+            : null;
+        return plain ? String(plain).trim() : '';
+    }
+
+    _decorateSuggestion(place) {
+        const detail = [place.admin1, place.country].filter((part) => !!part).join(', ');
+        return {
+            ...place,
+            key: `${place.lat},${place.lon}`,
+            label: place.countryCode ? `${place.name}, ${place.countryCode}` : place.name,
+            detail,
+            populationDisplay: place.population ? formatLabel(LABELS.population, this._formatPopulation(place.population)) : ''
+        };
+    }
+
+    _decorateOption(option, index, className) {
+        const active = index === this.activeOptionIndex;
+        return {
+            ...option,
+            index,
+            id: `search-option-${index}`,
+            className: active ? `rs-item ${className} active` : `rs-item ${className}`,
+            ariaSelected: active ? 'true' : 'false'
+        };
+    }
+
+    _formatPopulation(population) {
+        return new Intl.NumberFormat(LOCALE, { notation: 'compact', maximumFractionDigits: 1 }).format(population);
+    }
+
+    get _isRefreshDue() {
+        const minutes = Number(this.refreshIntervalMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) return false;
+        if (document.hidden || !this.lastUpdated || !this.weatherData) return false;
+        return Date.now() - this.lastUpdated >= minutes * 60000;
+    }
+
+    get _todayUvIndexMax() {
+        const nowSeconds = Math.floor(this.now / 1000);
+        const today = (this.airQuality?.daily || [])
+            .find((day) => nowSeconds >= day.timeUnix && nowSeconds < day.timeUnix + SECONDS_PER_DAY);
+        return today ? today.uvIndexMax : null;
+    }
+
+    get _forecastRange() {
+        return FORECAST_RANGES.find((range) => range.days === this.forecastDays) || FORECAST_RANGES[0];
+    }
+
+    get _stripHours() {
+        return this.hasHourly ? this.weatherData.hourly.slice(0, this._forecastRange.hours) : [];
+    }
+
+    // Pages are clamped here, so a shorter forecast never leaves an empty page open
+    get _dayPageIndex() { return Math.max(0, Math.min(this.dayPage, this.dayPageCount - 1)); }
+    get _hourPageIndex() { return Math.max(0, Math.min(this.hourPage, this.hourPageCount - 1)); }
+
+    _confidenceLabel(index) {
+        if (index >= LOW_CONFIDENCE_FROM_DAY) return { level: 'low', label: LABELS.confidenceLow };
+        if (index >= MEDIUM_CONFIDENCE_FROM_DAY) return { level: 'medium', label: LABELS.confidenceMedium };
+        return null;
+    }
+
+    // A cached forecast can cover more days than the selected range
+    _limitToRange(result) {
+        if (!result.daily || result.daily.length <= this.forecastDays) return;
+        const end = result.daily[this.forecastDays].timeUnix;
+        result.daily = result.daily.slice(0, this.forecastDays);
+        if (result.hourly) {
+            result.hourly = result.hourly.filter((hour) => hour.timeUnix < end);
+        }
+    }
+
+    get _fallbackMaxAgeMs() {
+        const hours = Number(this.fallbackMaxAgeHours);
+        return Number.isFinite(hours) && hours > 0 ? hours * 3600000 : 0;
+    }
+
+    get _cacheTtlMs() {
+        const minutes = Number(this.cacheTtlMinutes);
+        return Number.isFinite(minutes) && minutes > 0 ? minutes * 60000 : 0;
+    }
+
+    _formatAge(timestamp) {
+        const minutes = Math.max(0, Math.floor((this.now - timestamp) / 60000));
+        if (minutes < 1) return LABELS.justNow;
+        if (minutes < 60) return formatLabel(LABELS.minutesAgo, minutes);
+        const hours = Math.floor(minutes / 60);
+        return hours === 1 ? LABELS.oneHourAgo : formatLabel(LABELS.hoursAgo, hours);
+    }
+
+    _favoriteKey(lat, lon) {
+        return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    }
+
+    get _alertLocationKey() {
+        return this.weatherData ? this._favoriteKey(this.weatherData.lat, this.weatherData.lon) : '';
+    }
+
+    _describeAlert(alert) {
+        let when = LABELS.alertNow;
+        if (alert.source === 'hourly') {
+            when = formatLabel(LABELS.alertFrom, this._formatInLocationZone(alert.timeUnix, {
+                weekday: 'short',
+                hour: 'numeric',
+                hourCycle: this.is24Hour ? 'h23' : 'h12'
+            }));
+        } else if (alert.source === 'daily') {
+            when = formatLabel(LABELS.alertOn, this._formatInLocationZone(alert.timeUnix, { weekday: 'long' }));
+        }
+
+        switch (alert.type) {
+            case 'heat':
+                return formatLabel(LABELS.alertHeatMessage, `${this._formatTemp(alert.value)}${this.tempUnit}`, when);
+            case 'freeze':
+                return formatLabel(LABELS.alertFreezeMessage, `${this._formatTemp(alert.value)}${this.tempUnit}`, when);
+            case 'wind':
+                return formatLabel(LABELS.alertWindMessage, this._formatSpeed(alert.value), when);
+            case 'thunderstorm':
+                return formatLabel(alert.severity === 'severe' ? LABELS.alertHailMessage : LABELS.alertThunderstormMessage, when);
+            default:
+                return formatLabel(LABELS.alertPrecipMessage, Math.round(alert.value), when);
+        }
+    }
+
+    // Coded errors use the client's message; older or uncoded results keep the server's
+    _errorMessageFor(result) {
+        return ERROR_MESSAGES[result.errorCode] || result.errorMessage || LABELS.genericError;
+    }
+
+    _buildComparisonRow(favorite, state) {
+        const self = this;
+        const result = state.result || null;
+        const current = result?.current;
+        const today = result?.daily?.[0];
+        return {
+            key: favorite.key,
+            favorite,
+            result,
+            fetchedAt: state.fetchedAt || null,
+            isLoading: !!state.isLoading,
+            errorMessage: state.errorMessage || '',
+            hasData: !!current,
+            label: favorite.country ? `${favorite.name}, ${favorite.country}` : favorite.name,
+            iconUrl: current?.icon ? ICON_BASE_URL + current.icon + ICON_SUFFIX : '',
+            description: current ? describeWeather(current.weatherCode, current.description) : '',
+            pop: today?.pop ?? '--',
+            get tempDisplay() { return self._formatTemp(current?.temp); },
+            get highDisplay() { return self._formatTemp(today ? today.tempHigh : current?.tempMax); },
+            get lowDisplay() { return self._formatTemp(today ? today.tempLow : current?.tempMin); }
+        };
+    }
+
+    _updateComparisonRow(favorite, state) {
+        this.comparisonRows = this.comparisonRows.map((row) => {
+            return row.key === favorite.key ? this._buildComparisonRow(favorite, state) : row;
+        });
+    }
+
+    _convertTemp(celsius) {
+        return convertTemperature(celsius, this.units.temperature);
+    }
+
     _formatTemp(celsius) {
         if (celsius === null || celsius === undefined) return '--';
-        if (this.isFahrenheit) {
-            return Math.round((celsius * 9/5) + 32);
-        }
-        return Math.round(celsius);
+        return Math.round(this._convertTemp(celsius));
+    }
+
+    _formatDegrees(celsius) {
+        return `${this._formatTemp(celsius)}°`;
+    }
+
+    _historyDeltaClass(difference) {
+        if (difference > 0) return 'history-delta history-warmer';
+        if (difference < 0) return 'history-delta history-cooler';
+        return 'history-delta';
     }
 
     _formatSpeed(ms) {
         if (ms === null || ms === undefined) return '--';
-        if (this.isFahrenheit) {
-            return `${(ms * 2.23694).toFixed(1)} mph`;
+        const unit = this.units.wind;
+        if (unit === 'bft') {
+            return formatLabel(LABELS.beaufortForce, convertSpeed(ms, unit));
         }
-        return `${ms} m/s`;
+        return this._formatMeasure(convertSpeed(ms, unit), unit);
+    }
+
+    _formatPrecip(mm) {
+        if (mm === null || mm === undefined) return '--';
+        const unit = this.units.precipitation;
+        return this._formatMeasure(convertPrecipitation(mm, unit), unit);
+    }
+
+    _formatMeasure(value, unit) {
+        return `${this._formatDecimal(value, UNIT_DECIMALS[unit])} ${UNIT_SYMBOLS[unit]}`;
+    }
+
+    // Sun and moon only change with the day and place, not on every render
+    _skyForDay(dayStart, lat, lon) {
+        const key = `${dayStart}|${lat}|${lon}`;
+        const memo = this._astronomyMemo;
+        if (memo.key !== key) {
+            const midday = dayStart + SECONDS_PER_DAY / 2;
+            memo.key = key;
+            memo.sky = {
+                sun: sunTimes(midday, lat, lon),
+                yesterday: sunTimes(midday - SECONDS_PER_DAY, lat, lon),
+                moon: moonPhase(midday),
+                moonTimes: moonTimes(dayStart, lat, lon)
+            };
+        }
+        return memo.sky;
+    }
+
+    _formatDayLength(seconds) {
+        if (seconds >= SECONDS_PER_DAY) return LABELS.sunUpAllDay;
+        if (seconds <= 0) return LABELS.sunDownAllDay;
+        const minutes = Math.round(seconds / 60);
+        return formatLabel(LABELS.durationHoursMinutes, Math.floor(minutes / 60), minutes % 60);
+    }
+
+    _describeDayLengthChange(seconds) {
+        const change = Math.round(seconds);
+        if (change === 0) return LABELS.daySameAsYesterday;
+        const amount = formatLabel(LABELS.durationMinutesSeconds, Math.floor(Math.abs(change) / 60), Math.abs(change) % 60);
+        return formatLabel(change > 0 ? LABELS.dayLongerThanYesterday : LABELS.dayShorterThanYesterday, amount);
+    }
+
+    _formatTimeRange(start, end) {
+        if (!start || !end) return '--';
+        return formatLabel(LABELS.timeRange, this._formatUnixTime(start), this._formatUnixTime(end));
+    }
+
+    _formatMoonEvent(times, timestamp) {
+        if (times.alwaysUp) return LABELS.moonUpAllDay;
+        if (times.alwaysDown) return LABELS.moonDownAllDay;
+        return this._formatUnixTime(timestamp);
+    }
+
+    // Fixed number of decimals with the user's locale separators (3.5 vs 3,5)
+    _formatDecimal(value, digits) {
+        return new Intl.NumberFormat(LOCALE, {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(Number(value));
+    }
+
+    _countryName(countryCode) {
+        if (!countryCode) return '';
+        try {
+            return new Intl.DisplayNames([LOCALE], { type: 'region' }).of(countryCode) || countryCode;
+        } catch {
+            return countryCode;
+        }
+    }
+
+    // Weekday and hour; the weekday is left out when `since` falls on the same day
+    _formatWindowTime(timestamp, since) {
+        const weekday = this._formatInLocationZone(timestamp, { weekday: 'short' });
+        const sameDay = since !== undefined
+            && this._formatInLocationZone(since, { dateStyle: 'short' }) === this._formatInLocationZone(timestamp, { dateStyle: 'short' });
+        return sameDay ? this._formatHourLabel(timestamp) : `${weekday} ${this._formatHourLabel(timestamp)}`;
+    }
+
+    _formatPercent(value) {
+        if (value === null || value === undefined) return '--';
+        return `${Math.round(value)}%`;
+    }
+
+    _formatDirection(degrees) {
+        if (degrees === null || degrees === undefined) return '';
+        return COMPASS_POINTS[Math.round(degrees / 22.5) % COMPASS_POINTS.length];
     }
 
     _formatUnixTime(timestamp) {
         if (!timestamp) return '--';
-        const date = new Date(timestamp * 1000);
-        let hours = date.getHours();
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        hours = hours % 12;
-        hours = hours ? hours : 12; // the hour '0' should be '12'
-        return `${hours}:${minutes} ${ampm}`;
+        return this._formatInLocationZone(timestamp, {
+            hour: 'numeric',
+            minute: '2-digit',
+            hourCycle: this.is24Hour ? 'h23' : 'h12'
+        });
+    }
+
+    _formatHourLabel(timestamp) {
+        if (!timestamp) return '';
+        const options = this.is24Hour
+            ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+            : { hour: 'numeric', hourCycle: 'h12' };
+        return this._formatInLocationZone(timestamp, options);
+    }
+
+    /**
+     * Formats a unix timestamp in the forecast location's time zone. Falls back to the
+     * fixed UTC offset when the IANA zone is missing or unknown to the browser.
+     */
+    _formatInLocationZone(timestamp, options) {
+        const timeZone = this.weatherData?.timezone;
+        if (timeZone) {
+            try {
+                return new Intl.DateTimeFormat(LOCALE, { ...options, timeZone }).format(new Date(timestamp * 1000));
+            } catch {
+                // RangeError for zones the browser's ICU data doesn't know
+            }
+        }
+        const offset = this.weatherData?.utcOffsetSeconds || 0;
+        return new Intl.DateTimeFormat(LOCALE, { ...options, timeZone: 'UTC' }).format(new Date((timestamp + offset) * 1000));
     }
 }
\ No newline at end of file
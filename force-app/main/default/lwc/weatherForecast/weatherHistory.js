@@ -0,0 +1,72 @@
+/**
+ * @description Puts the forecast next to observed weather: how a high compares
+ * with yesterday's or with the normal for the date, and the daily highs and
+ * lows leading up to a forecast day. Observed days come from HistoryResult;
+ * days that haven't been observed yet are filled in from the forecast.
+ * Temperatures stay in °C, like both results.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import { LABELS, formatLabel } from './labels';
+
+export const TREND_DAYS = 7;
+const SECONDS_PER_DAY = 86400;
+// Daily timestamps are local midnight, so a DST change moves them by an hour at most
+const SAME_DAY_TOLERANCE = SECONDS_PER_DAY / 2;
+
+export const YESTERDAY_PHRASES = {
+    above: LABELS.warmerThanYesterday,
+    below: LABELS.coolerThanYesterday,
+    same: LABELS.sameAsYesterday
+};
+
+export const NORMAL_PHRASES = {
+    above: LABELS.aboveNormal,
+    below: LABELS.belowNormal,
+    same: LABELS.nearNormal
+};
+
+function isNumber(value) {
+    return value !== null && value !== undefined && !Number.isNaN(Number(value));
+}
+
+function findDay(days, timeUnix) {
+    return (days || []).find((day) => Math.abs(day.timeUnix - timeUnix) < SAME_DAY_TOLERANCE);
+}
+
+/**
+ * @param {Number} difference whole degrees in the display unit, positive when warmer
+ * @param {Object} phrases YESTERDAY_PHRASES or NORMAL_PHRASES
+ * @returns {String} e.g. "6° warmer than yesterday"
+ */
+export function describeDifference(difference, phrases) {
+    if (difference === 0) return phrases.same;
+    return formatLabel(difference > 0 ? phrases.above : phrases.below, Math.abs(difference));
+}
+
+/**
+ * @param {Array} recent HistoryResult.recent, observed days ending yesterday
+ * @param {Array} daily WeatherResult.daily, starting today
+ * @param {Number} dayStart timeUnix of the selected forecast day
+ * @returns {Array} up to TREND_DAYS + 1 of { timeUnix, tempHigh, tempLow, observed,
+ *   selected }, oldest first and ending with the selected day
+ */
+export function buildTemperatureTrend(recent, daily, dayStart) {
+    const days = [];
+    for (let back = TREND_DAYS; back >= 0; back--) {
+        const timeUnix = dayStart - back * SECONDS_PER_DAY;
+        const observed = back > 0 ? findDay(recent, timeUnix) : null;
+        const day = observed || findDay(daily, timeUnix);
+        if (day && isNumber(day.tempHigh) && isNumber(day.tempLow)) {
+            days.push({
+                timeUnix: day.timeUnix,
+                tempHigh: Number(day.tempHigh),
+                tempLow: Number(day.tempLow),
+                observed: !!observed,
+                selected: back === 0
+            });
+        }
+    }
+    return days;
+}
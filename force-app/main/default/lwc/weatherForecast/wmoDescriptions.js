@@ -0,0 +1,109 @@
+/**
+ * @description Localized weather descriptions keyed by WMO weather code, plus the
+ * condition groups Apex reports as `main`. The server only sends English text,
+ * so the component translates on the client in the user's Salesforce language
+ * and falls back to English, then to whatever the server sent.
+ *
+ * @author Copilot
+ * @since 2026-10-19
+ */
+import LANG from '@salesforce/i18n/lang';
+
+const DESCRIPTIONS = {
+    en: {
+        0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
+        45: 'fog', 48: 'depositing rime fog',
+        51: 'light drizzle', 53: 'moderate drizzle', 55: 'dense drizzle',
+        56: 'light freezing drizzle', 57: 'dense freezing drizzle',
+        61: 'slight rain', 63: 'moderate rain', 65: 'heavy rain',
+        66: 'light freezing rain', 67: 'heavy freezing rain',
+        71: 'slight snowfall', 73: 'moderate snowfall', 75: 'heavy snowfall', 77: 'snow grains',
+        80: 'slight rain showers', 81: 'moderate rain showers', 82: 'violent rain showers',
+        85: 'slight snow showers', 86: 'heavy snow showers',
+        95: 'thunderstorm', 96: 'thunderstorm with slight hail', 99: 'thunderstorm with heavy hail'
+    },
+    fr: {
+        0: 'ciel dégagé', 1: 'principalement dégagé', 2: 'partiellement nuageux', 3: 'couvert',
+        45: 'brouillard', 48: 'brouillard givrant',
+        51: 'bruine légère', 53: 'bruine modérée', 55: 'bruine dense',
+        56: 'bruine verglaçante légère', 57: 'bruine verglaçante dense',
+        61: 'pluie faible', 63: 'pluie modérée', 65: 'forte pluie',
+        66: 'pluie verglaçante faible', 67: 'forte pluie verglaçante',
+        71: 'faibles chutes de neige', 73: 'chutes de neige modérées', 75: 'fortes chutes de neige', 77: 'neige en grains',
+        80: 'averses de pluie faibles', 81: 'averses de pluie modérées', 82: 'averses de pluie violentes',
+        85: 'averses de neige faibles', 86: 'fortes averses de neige',
+        95: 'orage', 96: 'orage avec grêle faible', 99: 'orage avec forte grêle'
+    },
+    de: {
+        0: 'Klarer Himmel', 1: 'Überwiegend klar', 2: 'Teilweise bewölkt', 3: 'Bedeckt',
+        45: 'Nebel', 48: 'Raureifnebel',
+        51: 'Leichter Nieselregen', 53: 'Mäßiger Nieselregen', 55: 'Starker Nieselregen',
+        56: 'Leichter gefrierender Nieselregen', 57: 'Starker gefrierender Nieselregen',
+        61: 'Leichter Regen', 63: 'Mäßiger Regen', 65: 'Starker Regen',
+        66: 'Leichter gefrierender Regen', 67: 'Starker gefrierender Regen',
+        71: 'Leichter Schneefall', 73: 'Mäßiger Schneefall', 75: 'Starker Schneefall', 77: 'Schneegriesel',
+        80: 'Leichte Regenschauer', 81: 'Mäßige Regenschauer', 82: 'Heftige Regenschauer',
+        85: 'Leichte Schneeschauer', 86: 'Starke Schneeschauer',
+        95: 'Gewitter', 96: 'Gewitter mit leichtem Hagel', 99: 'Gewitter mit starkem Hagel'
+    },
+    es: {
+        0: 'cielo despejado', 1: 'mayormente despejado', 2: 'parcialmente nublado', 3: 'cubierto',
+        45: 'niebla', 48: 'niebla con escarcha',
+        51: 'llovizna ligera', 53: 'llovizna moderada', 55: 'llovizna densa',
+        56: 'llovizna helada ligera', 57: 'llovizna helada densa',
+        61: 'lluvia ligera', 63: 'lluvia moderada', 65: 'lluvia intensa',
+        66: 'lluvia helada ligera', 67: 'lluvia helada intensa',
+        71: 'nevada ligera', 73: 'nevada moderada', 75: 'nevada intensa', 77: 'granos de nieve',
+        80: 'chubascos ligeros', 81: 'chubascos moderados', 82: 'chubascos violentos',
+        85: 'chubascos de nieve ligeros', 86: 'chubascos de nieve intensos',
+        95: 'tormenta', 96: 'tormenta con granizo ligero', 99: 'tormenta con granizo fuerte'
+    },
+    ja: {
+        0: '快晴', 1: '晴れ', 2: '晴れ時々曇り', 3: '曇り',
+        45: '霧', 48: '着氷性の霧',
+        51: '弱い霧雨', 53: '霧雨', 55: '強い霧雨',
+        56: '弱い着氷性の霧雨', 57: '強い着氷性の霧雨',
+        61: '小雨', 63: '雨', 65: '大雨',
+        66: '弱い着氷性の雨', 67: '強い着氷性の雨',
+        71: '小雪', 73: '雪', 75: '大雪', 77: '霧雪',
+        80: '弱いにわか雨', 81: 'にわか雨', 82: '激しいにわか雨',
+        85: '弱いにわか雪', 86: '強いにわか雪',
+        95: '雷雨', 96: '雷雨（弱いひょうを伴う）', 99: '雷雨（強いひょうを伴う）'
+    }
+};
+
+const GROUPS = {
+    en: { Clear: 'Clear', Clouds: 'Clouds', Fog: 'Fog', Drizzle: 'Drizzle', Rain: 'Rain', Snow: 'Snow', Thunderstorm: 'Thunderstorm', Unknown: 'Unknown' },
+    fr: { Clear: 'Dégagé', Clouds: 'Nuageux', Fog: 'Brouillard', Drizzle: 'Bruine', Rain: 'Pluie', Snow: 'Neige', Thunderstorm: 'Orage', Unknown: 'Inconnu' },
+    de: { Clear: 'Klar', Clouds: 'Bewölkt', Fog: 'Nebel', Drizzle: 'Nieselregen', Rain: 'Regen', Snow: 'Schnee', Thunderstorm: 'Gewitter', Unknown: 'Unbekannt' },
+    es: { Clear: 'Despejado', Clouds: 'Nublado', Fog: 'Niebla', Drizzle: 'Llovizna', Rain: 'Lluvia', Snow: 'Nieve', Thunderstorm: 'Tormenta', Unknown: 'Desconocido' },
+    ja: { Clear: '晴れ', Clouds: '曇り', Fog: '霧', Drizzle: '霧雨', Rain: '雨', Snow: '雪', Thunderstorm: '雷雨', Unknown: '不明' }
+};
+
+// "fr-CA", "de_DE" and "ja" all map to their base language
+function baseLanguage(lang) {
+    return String(lang || 'en').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * @param {Number} code WMO weather code
+ * @param {String} [fallback] text to use for unknown codes, usually the server description
+ * @param {String} [lang] Salesforce language; defaults to the running user's
+ * @returns {String}
+ */
+export function describeWeather(code, fallback = '', lang = LANG) {
+    if (code === null || code === undefined) return fallback;
+    const table = DESCRIPTIONS[baseLanguage(lang)] || DESCRIPTIONS.en;
+    return table[code] || DESCRIPTIONS.en[code] || fallback;
+}
+
+/**
+ * @param {String} main condition group from Apex (Clear, Clouds, Rain…)
+ * @param {String} [lang] Salesforce language; defaults to the running user's
+ * @returns {String}
+ */
+export function describeGroup(main, lang = LANG) {
+    if (!main) return '';
+    const table = GROUPS[baseLanguage(lang)] || GROUPS.en;
+    return table[main] || main;
+}
@@ -0,0 +1,20 @@
+/**
+ * Resolves @salesforce/label imports to their values in CustomLabels.labels-meta.xml,
+ * so component tests see the same text as an English org instead of the
+ * "c.Label_Name" placeholders sfdx-lwc-jest falls back to.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LABELS_FILE = path.join(__dirname, 'force-app/main/default/labels/CustomLabels.labels-meta.xml');
+const LABEL_PATTERN = /<labels>[\s\S]*?<fullName>([^<]+)<\/fullName>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/labels>/g;
+
+function decode(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+const xml = fs.readFileSync(LABELS_FILE, 'utf8');
+for (const [, name, value] of xml.matchAll(LABEL_PATTERN)) {
+    const text = decode(value);
+    jest.doMock(`@salesforce/label/c.${name}`, () => ({ default: text }), { virtual: true });
+}